@@ -10,8 +10,26 @@ export const DEFAULTS = {
   MAX_CONCURRENCY: 5,
   // How long to wait between website fetch attempts (ms)
   WEBSITE_REQUEST_DELAY: 500,
-  // Regexes used in website contact extraction (can be tuned)
-  EMAIL_REGEX: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
-  PHONE_REGEX: /(\+?\d[\d\s().-]{7,}\d)/g,
-  SOCIAL_REGEX: /https?:\/\/(www\.)?(facebook|instagram|twitter|x\.com|linkedin|youtube|tiktok)\.com\/[^\s"'<>]+/gi,
+  // Website enrichment budget per business site (homepage included)
+  WEBSITE_MAX_PAGES: 5,
+  WEBSITE_TIME_BUDGET_MS: 30000,
+  // Regex used in website contact extraction (can be tuned). Emails/phones have their own helpers.
+  // Raw matches include share buttons and widgets; helpers/social.js keeps the profiles
+  SOCIAL_REGEX: /https?:\/\/(?:[a-z]{2,3}(?:-[a-z]{2})?\.|www\.|m\.|mobile\.|web\.)?(?:facebook|fb|instagram|twitter|x|linkedin|youtube|tiktok)\.com\/[^\s"'<>)]+/gi,
+  // Reviews stage: Yelp shows 10 reviews per page, paginated via ?start=N
+  REVIEWS_PAGE_SIZE: 10,
+  REVIEWS_DATASET_NAME: 'yelp-reviews',
+  // Yelp stops paginating a search after this many result pages (10 businesses each);
+  // a search area that reaches it is saturated (see helpers/tiles.js)
+  YELP_MAX_SEARCH_PAGES: 24,
+  // Diagnostic mode: minimum share of sampled pages on which a field must be found.
+  // Fields that are legitimately missing on many businesses (website, hours, price) are only reported.
+  DIAGNOSTIC_THRESHOLDS: {
+    'search.businessLinks': 0.9,
+    'detail.name': 0.9,
+    'detail.rating': 0.8,
+    'detail.reviewCount': 0.8,
+    'detail.categories': 0.8,
+    'detail.addressParts': 0.7,
+  },
 };
\ No newline at end of file
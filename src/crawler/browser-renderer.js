@@ -0,0 +1,99 @@
+/**
+ * browser-renderer.js
+ *
+ * Headless-browser fallback for business websites that return a JavaScript shell
+ * (Wix, Squarespace, React/Next/Vue apps, ...) to plain HTTP requests.
+ *
+ * Pages are opened in a browser of their own, launched on the first render, not in the
+ * Yelp crawler's pool: they neither take its browser slots nor share its proxy sessions.
+ * Every render gets a fresh context with its own proxy session, heavy assets blocked.
+ * Renders have their own concurrency limit, and the queue wait and the render together
+ * fit in the caller's remaining time (the website time budget, see website-scraper.js).
+ *
+ * Exported function:
+ *   createBrowserRenderer({ proxyConfiguration, maxConcurrency, timeoutMs })
+ *     -> async (url, { timeoutMs }) => ({ url, body }) | null, with .close()
+ */
+
+import { chromium } from 'playwright';
+import { log } from '@apify/actor';
+import { createLimiter } from '../helpers/limiter.js';
+
+// How long to wait for client-side rendering to settle after DOMContentLoaded
+const SETTLE_MS = 5000;
+
+// proxy URL -> Playwright's proxy option
+const toPlaywrightProxy = (proxyUrl) => {
+  const u = new URL(proxyUrl);
+  return { server: `${u.protocol}//${u.host}`, username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) };
+};
+
+/**
+ * createBrowserRenderer
+ * @param {object} opts
+ * @param {object} [opts.proxyConfiguration] - the run's ProxyConfiguration; renders use their own sessions of it
+ * @param {number} opts.maxConcurrency - parallel renders across the whole run
+ * @param {number} opts.timeoutMs - per render, queue wait included
+ * @returns {((url: string, opts?: {timeoutMs?: number}) => Promise<{url: string, body: string}|null>) & {close: () => Promise<void>}}
+ */
+export const createBrowserRenderer = ({ proxyConfiguration = null, maxConcurrency = 1, timeoutMs = 20000 }) => {
+  const limit = createLimiter(maxConcurrency);
+  let browser = null; // Promise<Browser>, launched on the first render
+  let sessionSeq = 0;
+
+  const launch = () =>
+    chromium
+      // contexts bring their own proxy; Chromium still wants a global one to allow that
+      .launch({ headless: true, proxy: proxyConfiguration ? { server: 'http://per-context' } : undefined })
+      .then((b) => {
+        b.on('disconnected', () => {
+          browser = null;
+        });
+        return b;
+      })
+      .catch((err) => {
+        browser = null;
+        throw err;
+      });
+
+  const render = async (url, { timeoutMs: remainingMs = timeoutMs } = {}) => {
+    const deadline = Date.now() + Math.min(timeoutMs, remainingMs);
+    return limit(
+      async () => {
+        let context;
+        try {
+          browser ??= launch();
+          const proxyUrl = proxyConfiguration ? await proxyConfiguration.newUrl(`render_${++sessionSeq}`) : null;
+          context = await (await browser).newContext({ proxy: proxyUrl ? toPlaywrightProxy(proxyUrl) : undefined });
+          const page = await context.newPage();
+          await page.route('**/*', (route) => {
+            const type = route.request().resourceType();
+            if (['image', 'media', 'font', 'stylesheet'].includes(type)) return route.abort();
+            return route.continue();
+          });
+          const navTimeout = deadline - Date.now();
+          if (navTimeout <= 0) return null;
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navTimeout });
+          const settleMs = Math.min(SETTLE_MS, deadline - Date.now());
+          if (settleMs > 0) await page.waitForLoadState('networkidle', { timeout: settleMs }).catch(() => {});
+          return { url: page.url(), body: await page.content() };
+        } catch (err) {
+          log.debug(`Browser rendering failed for ${url}: ${err.message}`);
+          return null;
+        } finally {
+          await context?.close().catch(() => {});
+        }
+      },
+      { maxWaitMs: Math.max(0, deadline - Date.now()) }
+    );
+  };
+
+  /** close - shut the renderer's browser down (end of run) */
+  render.close = async () => {
+    const b = browser;
+    browser = null;
+    if (b) await (await b.catch(() => null))?.close().catch(() => {});
+  };
+
+  return render;
+};
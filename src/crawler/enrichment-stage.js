@@ -0,0 +1,80 @@
+/**
+ * enrichment-stage.js
+ *
+ * Website enrichment runs as its own HTTP-only stage next to the Yelp (Playwright) crawl.
+ * DETAIL builds the Yelp part of a business record and hands it over as an ENRICH request
+ * (the partial record travels in `userData.item`), so no browser page or proxy session is
+ * held open while business websites are fetched.
+ *
+ * The stage has its own request queue (scoped to the run, so a resumed run picks up where
+ * it stopped) and its own concurrency; per-domain politeness is applied by the throttle
+ * passed to fetchWebsiteAndContacts.
+ *
+ * Exported functions:
+ *   openEnrichmentQueue()
+ *   buildEnrichmentRequest(item, { query, identityKeys, detailKey })
+ *   runUntilDrained(crawlers, { pollMs })
+ */
+
+import { Actor, log } from '@apify/actor';
+import { RequestQueue } from '@crawlee/playwright';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * openEnrichmentQueue - request queue of the enrichment stage
+ * Named after the run so it survives migrations but never leaks into the next run;
+ * drop it once the run has drained.
+ */
+export const openEnrichmentQueue = async () => {
+  const runId = Actor.getEnv().actorRunId || 'local';
+  return RequestQueue.open(`website-enrichment-${runId}`);
+};
+
+/**
+ * buildEnrichmentRequest - ENRICH request for a partial business record
+ * @param {object} item - business record without website contacts (item.website must be a URL)
+ * @param {object} opts - { query, identityKeys, detailKey } the search query whose result slot this business
+ *   holds, the keys the business is claimed under when saved, and the uniqueKey of its DETAIL request
+ * @returns {{url: string, uniqueKey: string, userData: object}}
+ */
+export const buildEnrichmentRequest = (item, { query = null, identityKeys = [], detailKey = null } = {}) => ({
+  url: item.website,
+  // one request per business, even when several businesses share a website
+  uniqueKey: `ENRICH|${item.alias ?? item.yelpUrl}`,
+  userData: { label: 'ENRICH', item, query, identityKeys, detailKey },
+});
+
+/**
+ * runUntilDrained - run crawlers side by side until none of them has work left
+ * Stages feed each other (DETAIL -> ENRICH, ENRICH frees result slots -> DETAIL), so each
+ * crawler must be created with `keepAlive: true`. They are stopped once every queue is
+ * finished and nothing was handled between two consecutive polls.
+ *
+ * @param {object[]} crawlers - Crawlee crawlers (keepAlive)
+ * @param {object} opts - { pollMs }
+ */
+export const runUntilDrained = async (crawlers, { pollMs = 5000 } = {}) => {
+  const queues = await Promise.all(crawlers.map((c) => c.getRequestQueue()));
+  let stopped = false;
+  // if a crawler crashes or stops by itself, stop waiting for the others to drain
+  const runs = Promise.all(crawlers.map((c) => c.run())).finally(() => {
+    stopped = true;
+  });
+
+  let lastHandled = null;
+  while (!stopped) {
+    await Promise.race([sleep(pollMs), runs]);
+    if (stopped) break;
+    const finished = (await Promise.all(queues.map((q) => q.isFinished()))).every(Boolean);
+    const handled = (await Promise.all(queues.map((q) => q.handledCount()))).reduce((a, b) => a + b, 0);
+    if (finished && handled === lastHandled) break;
+    lastHandled = finished ? handled : null;
+  }
+
+  if (!stopped) {
+    log.info('All stages drained, stopping crawlers');
+    for (const c of crawlers) c.stop();
+  }
+  await runs;
+};
@@ -0,0 +1,70 @@
+/**
+ * export-stage.js
+ *
+ * CRM export, run once the crawl has drained: the run's dataset is read back and written
+ * to the default key-value store as import files, next to the dataset itself:
+ *   EXPORT.csv             - flattened CSV, shaped by exportFieldMapping when given
+ *   EXPORT.vcf             - one vCard per business
+ *   EXPORT-hubspot.csv     - HubSpot company import
+ *   EXPORT-salesforce.csv  - Salesforce lead import
+ * Field mapping and formats live in helpers/crm-export.js.
+ *
+ * Exported functions:
+ *   exportDataset({ formats, columns })
+ */
+
+import { Actor, log } from '@apify/actor';
+import { Dataset } from '@crawlee/playwright';
+import {
+  HUBSPOT_MAPPING,
+  SALESFORCE_MAPPING,
+  compileMapping,
+  flattenItem,
+  mapItem,
+  toCsv,
+  toVCard,
+} from '../helpers/crm-export.js';
+
+const PAGE_SIZE = 1000;
+const CSV = 'text/csv; charset=utf-8';
+
+const readItems = async () => {
+  const dataset = await Dataset.open();
+  const items = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { items: page } = await dataset.getData({ offset, limit: PAGE_SIZE });
+    items.push(...page);
+    if (page.length < PAGE_SIZE) return items;
+  }
+};
+
+const mappedCsv = (columns, items) => toCsv(items.map((item) => mapItem(columns, item)), columns.map((c) => c.column));
+
+/**
+ * exportDataset - write the requested export files
+ * @param {object} opts - { formats: subset of EXPORT_FORMATS, columns: compileMapping() result or null }
+ * @returns {Promise<Object<string, string>>} format -> key-value store key
+ */
+export const exportDataset = async ({ formats, columns = null }) => {
+  const items = await readItems();
+  const written = {};
+  const save = async (format, key, value, contentType) => {
+    await Actor.setValue(key, value, { contentType });
+    written[format] = key;
+  };
+
+  if (formats.includes('csv')) {
+    await save('csv', 'EXPORT.csv', columns ? mappedCsv(columns, items) : toCsv(items.map((item) => flattenItem(item))), CSV);
+  }
+  if (formats.includes('vcard')) {
+    await save('vcard', 'EXPORT.vcf', items.map(toVCard).join('\r\n'), 'text/vcard; charset=utf-8');
+  }
+  if (formats.includes('hubspot')) {
+    await save('hubspot', 'EXPORT-hubspot.csv', mappedCsv(compileMapping(HUBSPOT_MAPPING), items), CSV);
+  }
+  if (formats.includes('salesforce')) {
+    await save('salesforce', 'EXPORT-salesforce.csv', mappedCsv(compileMapping(SALESFORCE_MAPPING), items), CSV);
+  }
+  log.info(`Exported ${items.length} businesses: ${Object.values(written).join(', ')}`);
+  return written;
+};
@@ -0,0 +1,231 @@
+/**
+ * fixtures.js
+ *
+ * Record / replay of Yelp pages and business website responses, for checking extraction
+ * changes against real pages without touching the network.
+ *
+ * record  - every Yelp page the crawler handles (rendered DOM) and every website response
+ *           (HTTP and browser-rendered) is saved to the fixture directory, and the items
+ *           produced by the run become the expected output.
+ * replay  - Yelp navigations are answered from the fixtures through Playwright route
+ *           interception (every other request is aborted), website fetches and renders are
+ *           served from the fixtures, and the items are compared with the expected output.
+ *
+ * Directory layout:
+ *   index.json           - { yelp, http, rendered }: normalized URL -> { file, status, contentType, redirectTo }
+ *   yelp/<label>-*.html  - Yelp pages; `npm run diagnose -- <dir>/yelp` checks them as snapshots
+ *   websites/*.html      - business website responses
+ *   expected-items.json  - expected dataset items (volatile fields removed), sorted by yelpUrl
+ *
+ * Exported functions:
+ *   normalizeFixtureUrl(url)
+ *   stripYelpScripts(html)
+ *   comparableItem(item)
+ *   createFixtures({ mode, dir, updateExpected })
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { log } from '@apify/actor';
+
+// Fields that differ between two runs over the same pages
+const VOLATILE_FIELDS = ['scrapedAt', 'isOpenNow', 'nextOpenAt', 'changeStatus', 'changes'];
+
+/**
+ * normalizeFixtureUrl - fixture lookup key: no hash, sorted query parameters
+ */
+export const normalizeFixtureUrl = (url) => {
+  const u = new URL(url);
+  u.hash = '';
+  u.searchParams.sort();
+  return u.toString();
+};
+
+const fixtureFile = (prefix, url) => {
+  const u = new URL(url);
+  const slug = `${u.hostname.replace(/^www\./, '')}${u.pathname}`
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  const hash = createHash('sha1').update(normalizeFixtureUrl(url)).digest('hex').slice(0, 8);
+  return `${prefix}-${slug}-${hash}.html`;
+};
+
+const SCRIPT_RE = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const JSON_SCRIPT_RE = /\btype=["']application\/(?:ld\+)?json["']/i;
+
+/**
+ * stripYelpScripts - a recorded Yelp page without executable scripts, so a replayed page cannot
+ * re-render or navigate. Every script the extractors read stays: JSON-LD, JSON page state and
+ * hypernova state (helpers/page-state.js), the latter typed as JSON so it cannot run either.
+ */
+export const stripYelpScripts = (html) =>
+  html.replace(SCRIPT_RE, (script, attrs, content) => {
+    if (JSON_SCRIPT_RE.test(attrs)) return script;
+    if (!/\bdata-hypernova-key\b/i.test(attrs)) return '';
+    return `<script type="application/json"${attrs.replace(/\s*\btype=["'][^"']*["']/i, '')}>${content}</script>`;
+  });
+
+/**
+ * comparableItem - an item without the fields that change from run to run
+ */
+export const comparableItem = (item) => {
+  const out = { ...item };
+  for (const field of VOLATILE_FIELDS) delete out[field];
+  // several queries can list a business in any order
+  if (Array.isArray(out.foundBy)) out.foundBy = [...out.foundBy].sort((a, b) => String(a.searchUrl).localeCompare(String(b.searchUrl)));
+  return out;
+};
+
+const diffItems = (expected, actual) => {
+  const byUrl = (items) => new Map(items.map((i) => [i.yelpUrl, i]));
+  const exp = byUrl(expected);
+  const act = byUrl(actual);
+  const missing = [...exp.keys()].filter((k) => !act.has(k));
+  const unexpected = [...act.keys()].filter((k) => !exp.has(k));
+  const changed = {};
+  for (const [key, e] of exp) {
+    const a = act.get(key);
+    if (!a) continue;
+    const fields = {};
+    for (const field of new Set([...Object.keys(e), ...Object.keys(a)])) {
+      if (JSON.stringify(e[field]) !== JSON.stringify(a[field])) fields[field] = { expected: e[field] ?? null, actual: a[field] ?? null };
+    }
+    if (Object.keys(fields).length) changed[key] = fields;
+  }
+  return { missing, unexpected, changed, ok: !missing.length && !unexpected.length && !Object.keys(changed).length };
+};
+
+/**
+ * createFixtures - fixture store for one run
+ * @param {object} opts - { mode: 'record'|'replay', dir, updateExpected }
+ */
+export const createFixtures = async ({ mode, dir, updateExpected = false }) => {
+  const indexPath = path.join(dir, 'index.json');
+  const expectedPath = path.join(dir, 'expected-items.json');
+  const readJson = async (file, fallback) => {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch {
+      return fallback;
+    }
+  };
+
+  const index = { yelp: {}, http: {}, rendered: {}, ...(await readJson(indexPath, {})) };
+  if (mode === 'replay' && !Object.keys(index.yelp).length) throw new Error(`No recorded Yelp pages in ${indexPath}`);
+  await mkdir(path.join(dir, 'yelp'), { recursive: true });
+  await mkdir(path.join(dir, 'websites'), { recursive: true });
+
+  const items = [];
+
+  // Index writes are chained so concurrent handlers never interleave them
+  let indexWrite = Promise.resolve();
+  const saveIndex = () => {
+    indexWrite = indexWrite.then(() => writeFile(indexPath, JSON.stringify(index, null, 2)));
+    return indexWrite;
+  };
+
+  const save = async (section, { url, finalUrl, status = 200, contentType = 'text/html; charset=utf-8', body, prefix }) => {
+    const target = finalUrl || url;
+    const sub = section === 'yelp' ? 'yelp' : 'websites';
+    const file = path.join(sub, fixtureFile(prefix, target));
+    await writeFile(path.join(dir, file), body ?? '');
+    index[section][normalizeFixtureUrl(target)] = { file, status, contentType };
+    if (normalizeFixtureUrl(url) !== normalizeFixtureUrl(target)) index[section][normalizeFixtureUrl(url)] = { redirectTo: target };
+    await saveIndex();
+  };
+
+  // Resolves recorded redirects; null when the URL was never recorded
+  const lookup = async (section, url, hops = 0) => {
+    let entry;
+    try {
+      entry = index[section][normalizeFixtureUrl(url)];
+    } catch {
+      return null;
+    }
+    if (!entry) return null;
+    if (entry.redirectTo && hops < 5) return lookup(section, entry.redirectTo, hops + 1);
+    if (!entry.file) return null;
+    return { ...entry, url, body: await readFile(path.join(dir, entry.file), 'utf8') };
+  };
+
+  return {
+    mode,
+
+    /** Save the rendered DOM of a Yelp page (record mode), see stripYelpScripts */
+    saveYelpPage: async ({ url, finalUrl, status, body, label }) =>
+      save('yelp', {
+        url,
+        finalUrl,
+        status,
+        body: stripYelpScripts(body),
+        prefix: String(label || 'page').toLowerCase(),
+      }),
+
+    /**
+     * Playwright route handler for replay: recorded Yelp documents are fulfilled
+     * (redirects included), everything else is aborted
+     */
+    routeYelp: async (route) => {
+      const req = route.request();
+      if (req.resourceType() !== 'document') return route.abort();
+      const entry = index.yelp[normalizeFixtureUrl(req.url())];
+      if (entry?.redirectTo) return route.fulfill({ status: 301, headers: { location: entry.redirectTo } });
+      const page = entry ? await lookup('yelp', req.url()) : null;
+      if (!page) {
+        log.warning(`No fixture recorded for ${req.url()}`);
+        return route.abort();
+      }
+      return route.fulfill({ status: page.status ?? 200, contentType: page.contentType, body: page.body });
+    },
+
+    /**
+     * Wrap the website HTTP fetcher (see website-scraper.js fetchHtml):
+     * record saves every response, replay answers from the fixtures only
+     */
+    wrapHttpGet: (httpGet) => async (url, opts) => {
+      if (mode === 'replay') {
+        const page = await lookup('http', url);
+        if (!page) throw new Error(`No fixture recorded for ${url}`);
+        return { url: page.url, statusCode: page.status, contentType: page.contentType, body: page.body };
+      }
+      const res = await httpGet(url, opts);
+      await save('http', { url, finalUrl: res.url, status: res.statusCode, contentType: res.contentType, body: res.body, prefix: 'http' });
+      return res;
+    },
+
+    /** Wrap the browser renderer the same way (browser-renderer.js) */
+    wrapRenderer: (renderPage) => async (url, opts) => {
+      if (mode === 'replay') {
+        const page = await lookup('rendered', url);
+        return page ? { url: page.url, body: page.body } : null;
+      }
+      const rendered = renderPage ? await renderPage(url, opts) : null;
+      if (rendered) await save('rendered', { url, finalUrl: rendered.url, body: rendered.body, prefix: 'rendered' });
+      return rendered;
+    },
+
+    /** Collect a saved dataset item */
+    recordItem: (item) => {
+      items.push(comparableItem(item));
+    },
+
+    /**
+     * End of run: record mode (or replay with updateExpected) writes the expected items,
+     * replay compares against them
+     * @returns {Promise<{mode: string, items: number, written?: string, diff?: object}>}
+     */
+    finish: async () => {
+      await indexWrite;
+      const actual = [...items].sort((a, b) => String(a.yelpUrl).localeCompare(String(b.yelpUrl)));
+      if (mode === 'record' || updateExpected) {
+        await writeFile(expectedPath, JSON.stringify(actual, null, 2));
+        return { mode, items: actual.length, written: expectedPath };
+      }
+      const expected = await readJson(expectedPath, null);
+      if (!expected) return { mode, items: actual.length, diff: null };
+      return { mode, items: actual.length, diff: diffItems(expected, actual) };
+    },
+  };
+};
@@ -0,0 +1,505 @@
+/**
+ * page-extractors.js
+ *
+ * Field extraction for Yelp SEARCH and DETAIL pages, shared by the crawler and the
+ * selector health check (see helpers/diagnostics.js and src/diagnostics.js).
+ *
+ * Every field is tried with JSON-LD first (when Yelp provides it), then the embedded
+ * page state where it carries the field, and then one or more DOM fallbacks. Next to
+ * the values, the extractors return which strategy produced each one ('json-ld',
+ * 'dom:h1', ...; null when nothing matched), so broken selectors show up as falling
+ * hit rates instead of silent nulls.
+ *
+ * Exported functions:
+ *   safeText(locator)
+ *   extractJsonLd(page)
+ *   extractSearchPage(page)  -> { businessHrefs, nextHref, pageCount, strategies }
+ *   extractDetailFields(page, { ld }) -> { fields, strategies }
+ *   extractProfileFields(page, { ld }) -> { fields, strategies }
+ */
+
+import { unique } from '../helpers/misc.js';
+import {
+  addressFromJsonLd,
+  addressFromLines,
+  countryFromYelpHost,
+  extractAddressLines,
+  extractCoordinates,
+  normalizeAddressParts,
+} from '../helpers/address.js';
+import { extractDomHoursRows, parseDomHours, parseJsonLdHours } from '../helpers/hours.js';
+import { YELP_ORIGIN, parseBusinessAlias } from '../helpers/yelp-identity.js';
+import { findBusinessNode, findStateNodes, readPageStates, stateValue } from '../helpers/page-state.js';
+import { DEFAULTS } from '../config.js';
+
+const NEXT_PAGE_SELECTORS = [
+  { strategy: 'dom:rel-next', selector: 'a[rel="next"]' },
+  { strategy: 'dom:next-link', selector: 'a.next-link' },
+  { strategy: 'dom:aria-next', selector: 'a[aria-label="Next"]' },
+];
+
+const MAX_PHOTOS = 30;
+
+// Headings inside the "About the Business" section, in the order Yelp shows them
+const ABOUT_HEADINGS = /^(specialties|history|established in \d{4}|meet the (business )?(owner|manager)|business owner information)$/i;
+const OWNER_ROLE = /owner|manager|founder|director|president|ceo|partner|proprietor/i;
+
+const WEBSITE_SELECTORS = [
+  { strategy: 'dom:website-link', selector: 'a[href^="http"]:has-text("Website")' },
+  { strategy: 'dom:business-website-text', selector: 'a:has-text("Business website")' },
+  { strategy: 'dom:visit-website-text', selector: 'a:has-text("Visit website")' },
+  { strategy: 'dom:biz-redir', selector: 'a[href*="biz_redir?url="]' },
+];
+
+export const safeText = async (locator) => {
+  try {
+    if (!locator) return null;
+    const count = await locator.count();
+    if (!count) return null;
+    return (await locator.first().textContent())?.trim() || null;
+  } catch {
+    return null;
+  }
+};
+
+export const extractJsonLd = async (page) => {
+  try {
+    const scripts = await page.locator('script[type="application/ld+json"]').all();
+    for (const s of scripts) {
+      try {
+        const txt = await s.textContent();
+        if (!txt) continue;
+        const parsed = JSON.parse(txt);
+        const blocks = Array.isArray(parsed) ? parsed : [parsed];
+        for (const b of blocks) {
+          if (!b) continue;
+          const t = b['@type'];
+          if (!t) continue;
+          // Yelp uses LocalBusiness / Organization / ProfessionalService etc.
+          if (['LocalBusiness', 'Organization', 'ProfessionalService', 'MedicalBusiness'].includes(t)) {
+            return b;
+          }
+        }
+      } catch {
+        // ignore parse errors
+      }
+    }
+  } catch {
+    // ignore
+  }
+  return null;
+};
+
+/**
+ * extractSearchPage - business links, the next-page link and the page count of a search results page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{businessHrefs: string[], nextHref: string|null, pageCount: number|null, strategies: object}>}
+ */
+export const extractSearchPage = async (page) => {
+  const strategies = { businessLinks: null, nextPage: null, pageCount: null };
+
+  // Business links from search results (hrefs starting with /biz/)
+  let businessHrefs = [];
+  try {
+    businessHrefs = (await page.locator('a[href^="/biz/"]').evaluateAll((els) => els.map((el) => el.getAttribute('href'))))
+      .filter(Boolean);
+    if (businessHrefs.length) strategies.businessLinks = 'dom:biz-links';
+  } catch {}
+
+  // Pagination: 'Next' link or rel=next
+  let nextHref = null;
+  for (const { strategy, selector } of NEXT_PAGE_SELECTORS) {
+    try {
+      const next = page.locator(selector);
+      if (!(await next.count())) continue;
+      const href = await next.first().getAttribute('href');
+      if (href) {
+        nextHref = new URL(href, YELP_ORIGIN).toString();
+        strategies.nextPage = strategy;
+        break;
+      }
+    } catch {}
+  }
+
+  // Page count: the pagination reads "1 of 24"; no pagination means a single page
+  let pageCount = null;
+  try {
+    const pagination = page.locator('[aria-label*="agination"]');
+    if (await pagination.count()) {
+      const m = (await pagination.first().textContent({ timeout: 2000 }))?.match(/\b\d+\s+of\s+(\d+)\b/);
+      if (m) {
+        pageCount = Number(m[1]);
+        strategies.pageCount = 'dom:pagination';
+      }
+    }
+  } catch {}
+
+  return { businessHrefs, nextHref, pageCount, strategies };
+};
+
+/**
+ * extractDetailFields - raw business fields of a detail page
+ * @param {import('playwright').Page} page
+ * @param {object} opts - { ld } JSON-LD block when already extracted
+ * @returns {Promise<{fields: object, strategies: object}>}
+ *   fields: name, phone, addressParts, coordinates, hours, categories, rating, reviewCount, website, priceLevel,
+ *   and the profile fields of extractProfileFields()
+ */
+export const extractDetailFields = async (page, { ld = null } = {}) => {
+  const strategies = {};
+
+  // Name
+  let name = ld?.name ?? null;
+  if (name) strategies.name = 'json-ld';
+  else if ((name = await safeText(page.locator('h1')))) strategies.name = 'dom:h1';
+
+  // phone from JSON-LD or tel: link
+  let phone = ld?.telephone ?? null;
+  if (phone) strategies.phone = 'json-ld';
+  else {
+    try {
+      const tel = page.locator('a[href^="tel:"]');
+      if (await tel.count()) {
+        const href = await tel.first().getAttribute('href');
+        if (href) {
+          phone = href.replace(/^tel:/, '').trim();
+          strategies.phone = 'dom:tel-link';
+        }
+      }
+    } catch {}
+  }
+
+  // Address - JSON-LD object or <address> lines, normalized to the same parts either way
+  let addressParts = null;
+  try {
+    const fromLd = ld?.address ? addressFromJsonLd(ld.address) : null;
+    const raw = fromLd ?? addressFromLines(await extractAddressLines(page));
+    if (raw) {
+      addressParts = normalizeAddressParts(raw);
+      strategies.addressParts = fromLd ? 'json-ld' : 'dom:address-lines';
+    }
+  } catch {}
+  if (addressParts && !addressParts.countryCode) addressParts.countryCode = countryFromYelpHost(page.url());
+
+  // Coordinates - JSON-LD geo, embedded map URLs, then page state
+  const coords = await extractCoordinates(page, ld);
+  const coordinates = coords ? { latitude: coords.latitude, longitude: coords.longitude } : null;
+  if (coords) strategies.coordinates = coords.source === 'json-ld' ? 'json-ld' : `dom:${coords.source}`;
+
+  // Opening hours - JSON-LD first, hours table as fallback
+  let hours = parseJsonLdHours(ld);
+  if (hours) strategies.hours = 'json-ld';
+  else {
+    try {
+      hours = parseDomHours(await extractDomHoursRows(page));
+      if (hours) strategies.hours = 'dom:hours-table';
+    } catch {}
+  }
+
+  // Categories - fallback to category links
+  let categories = [];
+  if (ld?.['@type'] && ld?.category) {
+    categories = Array.isArray(ld.category) ? ld.category : [ld.category];
+    strategies.categories = 'json-ld';
+  } else {
+    try {
+      const catHandles = await page.locator('a[href*="/search?cflt="], span[class*="category"] a').allTextContents();
+      categories = catHandles.map((t) => t.trim()).filter(Boolean);
+      if (categories.length) strategies.categories = 'dom:category-links';
+    } catch {}
+  }
+  categories = unique(categories);
+
+  // Rating
+  let rating = null;
+  if (ld?.aggregateRating?.ratingValue) {
+    rating = Number(ld.aggregateRating.ratingValue);
+    strategies.rating = 'json-ld';
+  } else {
+    try {
+      const r = await page.locator('[aria-label$="star rating"], div[role="img"][aria-label*="star"]').first().getAttribute('aria-label', { timeout: 2000 });
+      const m = r?.match(/([\d.]+)\s*star/i);
+      if (m) {
+        rating = Number(m[1]);
+        strategies.rating = 'dom:star-aria-label';
+      }
+    } catch {}
+  }
+
+  // Review count
+  let reviewCount = null;
+  if (ld?.aggregateRating?.reviewCount) {
+    reviewCount = Number(ld.aggregateRating.reviewCount);
+    strategies.reviewCount = 'json-ld';
+  } else {
+    try {
+      const rcText = await safeText(page.locator('p:has-text("reviews"), a[href$="#reviews"], span:has-text("reviews")'));
+      const num = rcText?.replace(/[^\d]/g, '');
+      if (num) {
+        reviewCount = Number(num);
+        strategies.reviewCount = 'dom:reviews-text';
+      }
+    } catch {}
+  }
+
+  // Website detection - direct link text patterns, or yelp redirect
+  let website = null;
+  for (const { strategy, selector } of WEBSITE_SELECTORS) {
+    try {
+      const loc = page.locator(selector);
+      if (!(await loc.count())) continue;
+      const href = await loc.first().getAttribute('href');
+      if (!href) continue;
+      const u = new URL(href, YELP_ORIGIN);
+      // If it's a redirect via query param
+      if (href.includes('biz_redir') || href.includes('redirect')) {
+        const real = u.searchParams.get('url') || u.searchParams.get('u');
+        if (!real) continue;
+        website = decodeURIComponent(real);
+      } else {
+        // absolute URL usually
+        website = u.toString();
+      }
+      strategies.website = strategy;
+      break;
+    } catch {}
+  }
+
+  // Price level
+  let priceLevel = null;
+  const pl = await safeText(page.locator('span:has-text("$"), span.price-range'));
+  if (pl) {
+    priceLevel = pl.trim();
+    strategies.priceLevel = 'dom:price';
+  }
+
+  const profile = await extractProfileFields(page, { ld });
+
+  const fields = { name, phone, addressParts, coordinates, hours, categories, rating, reviewCount, website, priceLevel, ...profile.fields };
+  Object.assign(strategies, profile.strategies);
+  for (const key of Object.keys(fields)) strategies[key] ??= null;
+  return { fields, strategies };
+};
+
+// Visible text lines of the first section whose aria-label contains `label`
+const sectionLines = async (page, label) => {
+  try {
+    const section = page.locator(`section[aria-label*="${label}" i]`);
+    if (!(await section.count())) return [];
+    return (await section.first().innerText({ timeout: 2000 })).split('\n').map((l) => l.trim()).filter(Boolean);
+  } catch {
+    return [];
+  }
+};
+
+// The lines under a heading of the "About the Business" section, up to the next heading
+const aboutBlock = (lines, heading) => {
+  const start = lines.findIndex((l) => heading.test(l));
+  if (start < 0) return [];
+  const out = [];
+  for (const line of lines.slice(start + 1)) {
+    if (ABOUT_HEADINGS.test(line) || /^(read more|show less)$/i.test(line)) break;
+    out.push(line);
+  }
+  return out;
+};
+
+const toYear = (value) => {
+  const year = Number(String(value ?? '').match(/\b(1[6-9]\d{2}|20\d{2})\b/)?.[1]);
+  return year && year <= new Date().getFullYear() ? year : null;
+};
+
+const absoluteUrl = (href) => {
+  try {
+    const u = new URL(href, YELP_ORIGIN);
+    // external links go through Yelp's redirector
+    return u.pathname.includes('biz_redir') ? u.searchParams.get('url') || null : u.toString();
+  } catch {
+    return null;
+  }
+};
+
+const ldImages = (image) =>
+  (Array.isArray(image) ? image : [image]).map((i) => (typeof i === 'string' ? i : i?.url ?? i?.contentUrl)).filter(Boolean);
+
+/**
+ * extractProfileFields - lead-qualification fields of a detail page
+ * Every field is present in the result, null when the page does not show it.
+ * @returns {Promise<{fields: object, strategies: object}>}
+ *   amenities      - [{ name, available }] from "Amenities and More"
+ *   claimed        - boolean, the page is claimed by the business
+ *   owner          - { name, role } from "Business owner information"
+ *   yearEstablished, specialties, history
+ *   menuUrl, photos (URLs, first MAX_PHOTOS), photoCount
+ *   serviceArea    - [area] served by the business
+ *   closedStatus   - 'temporarily-closed' | 'closed' | null (open, or no notice)
+ *   yelpSocialLinks - social links the Yelp page lists for the business (raw; see helpers/social.js)
+ */
+export const extractProfileFields = async (page, { ld = null } = {}) => {
+  const strategies = {};
+  const states = await readPageStates(page);
+  // Per-business values are read from the business's own node only; similar businesses
+  // and ads elsewhere in the state have their own isClosed, isClaimed, photoCount, ...
+  const business = findBusinessNode(states, { alias: parseBusinessAlias(page.url()), name: ld?.name });
+  const own = business ? [business] : [];
+  const about = await sectionLines(page, 'About the Business');
+  let bodyText = '';
+  try {
+    bodyText = await page.locator('body').innerText({ timeout: 2000 });
+  } catch {}
+  // The page header (name, rating, photos, notices), before the sections with reviews and
+  // other free text that may mention "closed" or "photos" in passing
+  const sectionStart = bodyText.search(/^(Location & Hours|Amenities and More|Recommended Reviews)$/m);
+  const headerText = sectionStart > 0 ? bodyText.slice(0, sectionStart) : bodyText.slice(0, 2000);
+
+  // Amenities - page state properties ({ displayText, isActive }), else the section's lines
+  let amenities = null;
+  const props = findStateNodes(states, (n) => typeof n.displayText === 'string' && typeof n.isActive === 'boolean' && 'alias' in n);
+  if (props.length) {
+    amenities = [...new Map(props.map((p) => [p.displayText.trim(), { name: p.displayText.trim(), available: p.isActive }])).values()];
+    strategies.amenities = 'page-state';
+  } else {
+    const lines = (await sectionLines(page, 'Amenities')).filter((l) => !/^(amenities and more|\d+ more attributes?|show (\d+ )?(more|less))$/i.test(l));
+    if (lines.length) {
+      amenities = unique(lines).map((l) => ({ name: l, available: !/^(no|not|doesn't|does not)\b/i.test(l) }));
+      strategies.amenities = 'dom:amenities-section';
+    }
+  }
+
+  // Claimed status
+  let claimed = stateValue(own, ['isClaimed', 'claimed'], (v) => typeof v === 'boolean');
+  if (claimed != null) strategies.claimed = 'page-state';
+  else {
+    const label = await safeText(page.getByText(/^\s*(Claimed|Unclaimed)\s*$/));
+    if (label) {
+      claimed = /^claimed$/i.test(label);
+      strategies.claimed = 'dom:claimed-label';
+    }
+  }
+
+  // Owner - JSON-LD founder, else "Business owner information" (name, then role)
+  let owner = null;
+  const founder = Array.isArray(ld?.founder) ? ld.founder[0] : ld?.founder;
+  if (founder?.name || typeof founder === 'string') {
+    owner = { name: founder.name ?? founder, role: founder.jobTitle ?? 'Founder' };
+    strategies.owner = 'json-ld';
+  } else {
+    const [ownerName, role] = aboutBlock(about, /^business owner information$/i);
+    if (ownerName) {
+      owner = { name: ownerName, role: role && OWNER_ROLE.test(role) ? role : null };
+      strategies.owner = 'dom:about-owner';
+    }
+  }
+
+  // Year established
+  let yearEstablished = toYear(ld?.foundingDate);
+  if (yearEstablished) strategies.yearEstablished = 'json-ld';
+  else if ((yearEstablished = toYear(stateValue(own, ['yearEstablished'])))) strategies.yearEstablished = 'page-state';
+  else if ((yearEstablished = toYear(bodyText.match(/Established in (\d{4})/i)?.[1]))) strategies.yearEstablished = 'dom:established-text';
+
+  // Specialties / history - page state text, else the About section blocks
+  let specialties = stateValue(own, ['specialties'], (v) => typeof v === 'string' && v.trim() !== '');
+  if (specialties) strategies.specialties = 'page-state';
+  else if ((specialties = aboutBlock(about, /^specialties$/i).join('\n') || null)) strategies.specialties = 'dom:about-section';
+  let history = stateValue(own, ['history'], (v) => typeof v === 'string' && v.trim() !== '');
+  if (history) strategies.history = 'page-state';
+  else if ((history = aboutBlock(about, /^history$/i).join('\n') || null)) strategies.history = 'dom:about-section';
+
+  // Menu
+  const ldMenu = ld?.hasMenu ?? ld?.menu;
+  const ldMenuUrl = typeof ldMenu === 'string' ? ldMenu : ldMenu?.url;
+  let menuUrl = ldMenuUrl ? absoluteUrl(ldMenuUrl) : null;
+  if (menuUrl) strategies.menuUrl = 'json-ld';
+  else {
+    try {
+      const link = page.locator('a[href*="/menu/"], a:has-text("Full menu"), a:has-text("View full menu")');
+      if (await link.count()) {
+        menuUrl = absoluteUrl(await link.first().getAttribute('href'));
+        if (menuUrl) strategies.menuUrl = 'dom:menu-link';
+      }
+    } catch {}
+  }
+
+  // Photos - JSON-LD images, else the photo CDN images on the page; count from "See all N photos"
+  let photos = unique(ldImages(ld?.image));
+  if (photos.length) strategies.photos = 'json-ld';
+  else {
+    try {
+      photos = unique(await page.locator('img[src*="/bphoto/"]').evaluateAll((els) => els.map((el) => el.src)));
+      if (photos.length) strategies.photos = 'dom:photo-images';
+    } catch {}
+  }
+  photos = photos.length ? photos.slice(0, MAX_PHOTOS) : null;
+  let photoCount = stateValue(own, ['photoCount', 'mediaCount'], (v) => Number.isInteger(v));
+  if (photoCount != null) strategies.photoCount = 'page-state';
+  else {
+    const m = headerText.match(/([\d,]+)\s+photos\b/i);
+    if (m) {
+      photoCount = Number(m[1].replace(/,/g, ''));
+      strategies.photoCount = 'dom:photos-text';
+    }
+  }
+
+  // Service area
+  let serviceArea = null;
+  const areaState = stateValue(own, ['serviceArea', 'serviceAreas'], (v) => v != null && typeof v !== 'boolean');
+  const areaNames = (Array.isArray(areaState) ? areaState : [areaState])
+    .map((a) => (typeof a === 'string' ? a : a?.name ?? a?.displayText))
+    .filter((a) => typeof a === 'string' && a.trim());
+  if (areaNames.length) {
+    serviceArea = unique(areaNames.map((a) => a.trim()));
+    strategies.serviceArea = 'page-state';
+  } else {
+    const lines = (await sectionLines(page, 'Service area')).filter((l) => !/^service areas?$/i.test(l));
+    const serving = bodyText.match(/^Serving (.+?)(?: and the surrounding area)?$/im)?.[1];
+    if (lines.length) {
+      serviceArea = unique(lines);
+      strategies.serviceArea = 'dom:service-area-section';
+    } else if (serving) {
+      serviceArea = [serving.trim()];
+      strategies.serviceArea = 'dom:serving-text';
+    }
+  }
+
+  // Closure notices
+  let closedStatus = null;
+  if (stateValue(own, ['isTemporarilyClosed'], (v) => v === true)) closedStatus = 'temporarily-closed';
+  else if (stateValue(own, ['isClosed', 'isPermanentlyClosed'], (v) => v === true)) closedStatus = 'closed';
+  if (closedStatus) strategies.closedStatus = 'page-state';
+  else if (/temporarily closed/i.test(headerText)) closedStatus = 'temporarily-closed';
+  else if (/Yelpers report this location has closed|this business (has|is permanently) closed|permanently closed/i.test(headerText)) closedStatus = 'closed';
+  if (closedStatus && !strategies.closedStatus) strategies.closedStatus = 'dom:closed-notice';
+
+  // Social links listed on the Yelp page; the footer holds Yelp's own accounts
+  let yelpSocialLinks = null;
+  try {
+    const hrefs = await page.locator('a[href]').evaluateAll((els) =>
+      els.filter((el) => !el.closest('footer')).map((el) => el.getAttribute('href'))
+    );
+    const links = unique(
+      hrefs.map(absoluteUrl).filter((url) => url && new RegExp(DEFAULTS.SOCIAL_REGEX.source, 'i').test(url))
+    );
+    if (links.length) {
+      yelpSocialLinks = links;
+      strategies.yelpSocialLinks = 'dom:social-links';
+    }
+  } catch {}
+
+  return {
+    fields: {
+      amenities,
+      claimed: claimed ?? null,
+      owner,
+      yearEstablished: yearEstablished ?? null,
+      specialties: specialties ?? null,
+      history: history ?? null,
+      menuUrl: menuUrl ?? null,
+      photos,
+      photoCount: photoCount ?? null,
+      serviceArea,
+      closedStatus,
+      yelpSocialLinks,
+    },
+    strategies,
+  };
+};
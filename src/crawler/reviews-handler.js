@@ -0,0 +1,187 @@
+/**
+ * reviews-handler.js
+ *
+ * Handles the REVIEWS stage: a Yelp business page opened at a given review offset
+ * (`?start=N`). Extracts one record per review and pushes it to a dedicated named
+ * dataset, then enqueues the next review page until `maxReviewsPerBusiness` is reached.
+ *
+ * Exported functions:
+ *   buildReviewsRequest(yelpUrl, { start, collected, input })
+ *   handleReviewsPage({ page, request, enqueueLinks, log, input })
+ *
+ * Note: Review markup changes often, so DOM extraction is broad and falls back to
+ * the `review` array in the page's JSON-LD (which lacks owner responses and reactions).
+ * That array is the same on every `?start=` page, so it is only read on the first page
+ * and ends the pagination.
+ */
+
+import { Dataset } from '@crawlee/playwright';
+import { DEFAULTS } from '../config.js';
+
+const SORT_PARAMS = {
+  relevance: 'relevance_desc',
+  newest: 'date_desc',
+  oldest: 'date_asc',
+  highest: 'rating_desc',
+  lowest: 'rating_asc',
+  elites: 'elites_desc',
+};
+
+/**
+ * buildReviewsRequest - build a REVIEWS request for a business page at a review offset
+ * @param {string} yelpUrl - business detail URL the reviews belong to
+ * @param {object} opts - { start, collected, input }
+ * @returns {{url: string, uniqueKey: string, userData: object}}
+ */
+export const buildReviewsRequest = (yelpUrl, { start = 0, collected = 0, input = {} } = {}) => {
+  const u = new URL(yelpUrl);
+  u.hash = '';
+  if (start > 0) u.searchParams.set('start', String(start));
+  else u.searchParams.delete('start');
+  const sort = SORT_PARAMS[input.reviewsSort] || SORT_PARAMS.relevance;
+  const language = input.reviewsLanguage || '';
+  u.searchParams.set('sort_by', sort);
+  if (language) u.searchParams.set('rl', language);
+
+  return {
+    url: u.toString(),
+    // sort and language are part of the key: each review configuration is its own feed
+    uniqueKey: `REVIEWS|${yelpUrl}|${sort}|${language}|${start}`,
+    userData: { label: 'REVIEWS', yelpUrl, start, collected },
+  };
+};
+
+/**
+ * extractReviewsFromDom - pull review cards out of the rendered page (runs in the browser)
+ */
+const extractReviewsFromDom = (page) =>
+  page.evaluate(() => {
+    const text = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim() || null;
+    const countFrom = (root, word) => {
+      const btn = [...root.querySelectorAll('button, span, a')].find((el) =>
+        new RegExp(`^${word}\\b`, 'i').test(text(el) || '')
+      );
+      const m = (text(btn) || '').match(/(\d+)/);
+      return m ? Number(m[1]) : 0;
+    };
+    const dateRe = /\b(\d{1,2}\/\d{1,2}\/\d{4}|[A-Z][a-z]{2} \d{1,2}, \d{4})\b/;
+
+    const section = document.querySelector('#reviews, section[aria-label*="Recommended Reviews"]') || document;
+    const cards = [...section.querySelectorAll('ul > li')].filter((li) =>
+      li.querySelector('[aria-label$="star rating"], div[role="img"][aria-label*="star"]')
+    );
+
+    return cards.map((li) => {
+      const ratingLabel = li
+        .querySelector('[aria-label$="star rating"], div[role="img"][aria-label*="star"]')
+        ?.getAttribute('aria-label');
+      const ratingMatch = ratingLabel?.match(/([\d.]+)\s*star/i);
+      const authorLink = li.querySelector('a[href^="/user_details"]');
+      const body = li.querySelector('p[class*="comment"] span[lang], span[lang][class*="raw"], p[class*="comment"]');
+
+      // Owner responses are rendered as a nested block inside the review card
+      let ownerResponse = null;
+      const ownerBlock = [...li.querySelectorAll('div, section')].find((el) =>
+        /^(Comment from|Business owner|Response from)/i.test(text(el.firstElementChild) || '')
+      );
+      if (ownerBlock) {
+        const ownerText = ownerBlock.querySelector('span[lang], p');
+        ownerResponse = {
+          author: (text(ownerBlock.firstElementChild) || '').replace(/^(Comment from|Response from)\s*/i, '') || null,
+          date: (text(ownerBlock) || '').match(dateRe)?.[1] ?? null,
+          text: text(ownerText),
+        };
+      }
+
+      // Review id lives on data attributes or on the "Share review" link
+      const idAttr = li.querySelector('[data-review-id]')?.getAttribute('data-review-id');
+      const hrid = li.querySelector('a[href*="hrid="]')?.getAttribute('href')?.match(/hrid=([^&]+)/)?.[1];
+
+      const cardText = text(li) || '';
+      return {
+        reviewId: idAttr || hrid || null,
+        author: text(authorLink),
+        authorUrl: authorLink ? new URL(authorLink.getAttribute('href'), location.origin).toString() : null,
+        date: cardText.replace(text(ownerBlock) || '', '').match(dateRe)?.[1] ?? null,
+        rating: ratingMatch ? Number(ratingMatch[1]) : null,
+        text: text(body),
+        language: body?.getAttribute('lang') || null,
+        ownerResponse,
+        reactions: {
+          useful: countFrom(li, 'Useful'),
+          funny: countFrom(li, 'Funny'),
+          cool: countFrom(li, 'Cool'),
+        },
+      };
+    });
+  });
+
+/**
+ * extractReviewsFromJsonLd - fallback using the `review` array of the business JSON-LD
+ */
+const extractReviewsFromJsonLd = async (page) => {
+  const handles = await page.locator('script[type="application/ld+json"]').all();
+  for (const h of handles) {
+    try {
+      const parsed = JSON.parse((await h.textContent()) || 'null');
+      const blocks = Array.isArray(parsed) ? parsed : [parsed];
+      const withReviews = blocks.find((b) => b && Array.isArray(b.review) && b.review.length);
+      if (!withReviews) continue;
+      return withReviews.review.map((r) => ({
+        reviewId: null,
+        author: (typeof r.author === 'string' ? r.author : r.author?.name) || null,
+        authorUrl: null,
+        date: r.datePublished || null,
+        rating: r.reviewRating?.ratingValue != null ? Number(r.reviewRating.ratingValue) : null,
+        text: r.description || r.reviewBody || null,
+        language: r.inLanguage || null,
+        ownerResponse: null,
+        reactions: { useful: null, funny: null, cool: null },
+      }));
+    } catch {
+      // ignore broken JSON-LD blocks
+    }
+  }
+  return [];
+};
+
+/**
+ * handleReviewsPage - save the reviews of one review page and enqueue the next one
+ * @param {object} ctx - { page, request, enqueueLinks, log, input }
+ */
+export const handleReviewsPage = async ({ page, request, enqueueLinks, log, input }) => {
+  await page.waitForLoadState('domcontentloaded');
+
+  const { yelpUrl, start = 0, collected = 0 } = request.userData;
+  const maxReviews = input.maxReviewsPerBusiness || 0;
+
+  let reviews = [];
+  try {
+    reviews = await extractReviewsFromDom(page);
+  } catch (err) {
+    log.debug(`DOM review extraction failed on ${request.url}: ${err.message}`);
+  }
+  let fromJsonLd = false;
+  if (!reviews.length && start === 0) {
+    reviews = await extractReviewsFromJsonLd(page);
+    fromJsonLd = reviews.length > 0;
+  }
+
+  const remaining = Math.max(0, maxReviews - collected);
+  const toSave = reviews.filter((r) => r.text || r.rating != null).slice(0, remaining);
+
+  if (toSave.length) {
+    const dataset = await Dataset.open(input.reviewsDatasetName || DEFAULTS.REVIEWS_DATASET_NAME);
+    const scrapedAt = new Date().toISOString();
+    await dataset.pushData(toSave.map((r) => ({ scrapedAt, yelpUrl, ...r })));
+  }
+
+  const total = collected + toSave.length;
+  log.info(`REVIEWS page: saved ${toSave.length} reviews (${total}/${maxReviews}) for ${yelpUrl}`);
+
+  // A short page means Yelp has no more reviews for the current sort/language
+  if (!fromJsonLd && total < maxReviews && reviews.length >= DEFAULTS.REVIEWS_PAGE_SIZE) {
+    const next = buildReviewsRequest(yelpUrl, { start: start + DEFAULTS.REVIEWS_PAGE_SIZE, collected: total, input });
+    await enqueueLinks({ requests: [next] });
+  }
+};
\ No newline at end of file
@@ -1,78 +1,328 @@
 /**
  * website-scraper.js
  *
- * Responsible for fetching a site's homepage and a list of candidate contact pages
- * and extracting contacts (emails/phones/social links).
+ * Responsible for enriching a business with contacts (emails/phones/social links)
+ * found on its own website.
+ *
+ * Instead of guessing fixed paths, the homepage is parsed for links whose text or URL
+ * suggests a contact/about/team/impressum page (footer links get a small bonus), and
+ * optionally `sitemap.xml` is read. Candidates are ranked and fetched within a per-site
+ * page and time budget. The configured contact paths are only a low-ranked fallback.
+ *
+ * Enrichment never leaves the business's own site: the homepage host and its www/non-www
+ * variant are allowed, over http or https, plus the host the homepage redirects to when it is
+ * on the same registrable domain (shop.example.com -> example.com). A homepage that redirects
+ * anywhere else (a Facebook page, linktr.ee, another business on a site builder) ends
+ * enrichment: the target's contacts are not the business's, it is only reported as `redirectedTo`.
+ * Other pages that redirect off-site, and pages that answer with an error status, are skipped.
  *
  * Uses @apify/got-scraping for HTTP requests — faster than headless browser for simple HTML extraction.
+ * `options.httpGet` replaces it (fixture record/replay, see fixtures.js).
+ * Every request first waits on `options.throttle(url)` (per-domain politeness, see helpers/limiter.js);
+ * without it a fixed delay separates the pages of one site.
+ * Pages that come back as a JavaScript shell are re-fetched through `options.renderPage`
+ * (see browser-renderer.js) when it is provided.
  *
- * Exported function:
- *   fetchWebsiteAndContacts(baseUrl, contactPaths, gotScrapingInstance)
+ * Exported functions:
+ *   fetchHtml(url, { timeoutMs, maxRetries })
+ *   fetchWebsiteAndContacts(baseUrl, contactPaths, options)
  *
- * The function returns { emails, phones, socialLinks }.
+ * The function returns { emails, phones, socialLinks, pagesVisited, fetchedVia, redirectedTo }; every email,
+ * phone and social link carries the `sourceUrl` of the page it was found on; social links
+ * are business profiles only ({ platform, url }, see helpers/social.js). `fetchedVia`
+ * is 'http', 'browser' or 'http+browser' depending on which pages yielded contacts.
  */
 
 import { gotScraping } from '@apify/got-scraping';
+import { log } from '@apify/actor';
 import { extractContactsFromHtml } from '../helpers/misc.js';
+import { htmlToText } from '../helpers/phones.js';
+import { parseSocialProfile } from '../helpers/social.js';
 import { DEFAULTS } from '../config.js';
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// Link keywords (URL slug or link text) and how strongly they suggest contact details
+const LINK_KEYWORDS = [
+  { re: /contact|kontakt|contacto|contato|contatti|get-in-touch|reach-us|nous-joindre/i, score: 10 },
+  { re: /impressum|imprint|mentions-legales|aviso-legal|legal-notice/i, score: 9 },
+  { re: /location|directions|find-us|visit-us|hours/i, score: 6 },
+  { re: /about|uber-uns|ueber-uns|a-propos|quienes-somos|chi-siamo|our-story|who-we-are/i, score: 5 },
+  { re: /team|staff|people|our-doctors|meet-/i, score: 4 },
+];
+
+const SKIP_LINK = /^(mailto:|tel:|javascript:|#)|\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|mp4|mp3)(\?|$)/i;
+
+// Markers of client-side rendered sites whose raw HTML has no real content
+const SPA_MARKERS = [
+  /<div[^>]+id=["'](root|app|__next|__nuxt|___gatsby)["'][^>]*>\s*<\/div>/i,
+  /static\.wixstatic\.com|wix-thunderbolt|_wixCssImports/i,
+  /static1?\.squarespace\.com/i,
+  /<noscript>[^<]*(enable|requires?) javascript/i,
+  /ng-app=|data-reactroot|window\.__NUXT__/i,
+];
+const MIN_VISIBLE_TEXT = 200;
+
+/**
+ * looksJsRendered - true when the HTTP response is likely an empty client-side shell
+ */
+export const looksJsRendered = (html = '') => {
+  if (!html || html.length < 1024) return true;
+  const visible = htmlToText(html).trim();
+  if (visible.length < MIN_VISIBLE_TEXT) return true;
+  // Builders like Wix ship some text, but contacts only appear after hydration
+  return SPA_MARKERS.some((re) => re.test(html)) && visible.length < MIN_VISIBLE_TEXT * 5;
+};
+
+const bareHost = (host) => host.toLowerCase().replace(/^www\./, '');
+
+// Second-level labels registered under a country code (example.co.uk), and hosting platforms
+// whose subdomains belong to different owners (acme.wixsite.com vs other.wixsite.com)
+const COUNTRY_SECOND_LEVEL = /^(co|com|net|org|gov|edu|ac|ltd|plc|ne|or|go|gen)$/;
+const SHARED_HOSTING = new Set([
+  'wixsite.com', 'squarespace.com', 'business.site', 'godaddysites.com', 'weebly.com', 'wordpress.com',
+  'blogspot.com', 'myshopify.com', 'webflow.io', 'github.io', 'netlify.app', 'vercel.app', 'square.site',
+]);
+
+/**
+ * registrableDomain - the domain a business registers: 'shop.example.co.uk' -> 'example.co.uk'
+ * (a small public-suffix approximation, good enough to tell same-owner hosts apart)
+ */
+export const registrableDomain = (host) => {
+  const labels = bareHost(host).split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  const countrySld = labels.length > 2 && labels.at(-1).length === 2 && COUNTRY_SECOND_LEVEL.test(labels.at(-2));
+  return countrySld || SHARED_HOSTING.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+};
+
+/**
+ * isSameSite - true if `url` is on one of the allowed (bare) hosts, over http(s)
+ */
+const isSameSite = (url, allowedHosts) => {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) && allowedHosts.has(bareHost(u.hostname));
+  } catch {
+    return false;
+  }
+};
+
+const normalizePageUrl = (url) => {
+  const u = new URL(url);
+  u.hash = '';
+  return u.toString().replace(/\/$/, '');
+};
+
+/**
+ * scoreLink - how likely a link leads to contact details (0 = ignore)
+ */
+export const scoreLink = (url, text = '', inFooter = false) => {
+  let path = '';
+  try {
+    path = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    return 0;
+  }
+  let score = 0;
+  for (const { re, score: s } of LINK_KEYWORDS) {
+    if (re.test(path)) score = Math.max(score, s);
+    if (re.test(text)) score = Math.max(score, s - 1);
+  }
+  if (!score) return 0;
+  if (inFooter) score += 1;
+  // Prefer shallow pages: /contact over /blog/2019/how-to-contact-your-plumber
+  score -= 2 * Math.max(0, path.split('/').filter(Boolean).length - 2);
+  if (/\/(blog|news|posts?|articles?|tag|category)\/|\/\d{4}\//i.test(path)) score -= 6;
+  return score;
+};
+
+/**
+ * discoverContactLinks - scored same-site links from a page's HTML
+ * @returns {Array<{url: string, score: number}>}
+ */
+export const discoverContactLinks = (html, pageUrl, allowedHosts) => {
+  const footers = [...html.matchAll(/<footer[\s\S]*?<\/footer>/gi)].map((m) => [m.index, m.index + m[0].length]);
+  const out = [];
+  for (const m of html.matchAll(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    const href = m[1].trim();
+    if (SKIP_LINK.test(href)) continue;
+    let url;
+    try {
+      url = new URL(href, pageUrl).toString();
+    } catch {
+      continue;
+    }
+    if (!isSameSite(url, allowedHosts)) continue;
+    const text = m[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    const inFooter = footers.some(([a, b]) => m.index >= a && m.index < b);
+    const score = scoreLink(url, text, inFooter);
+    if (score > 0) out.push({ url, score });
+  }
+  return out;
+};
+
+/**
+ * parseSitemapUrls - <loc> entries of a sitemap (nested sitemap indexes are not followed)
+ */
+export const parseSitemapUrls = (xml = '') =>
+  [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map((m) => m[1].replace(/&amp;/g, '&'));
+
+/**
+ * fetchHtml - plain HTTP GET of a website page (the default `options.httpGet`)
+ * @returns {Promise<{url: string, statusCode: number, contentType: string|null, body: string}>}
+ */
+export const fetchHtml = async (url, { timeoutMs = 15000, maxRetries = 1 } = {}) => {
+  const res = await gotScraping({
+    url,
+    timeout: { request: timeoutMs },
+    retry: { limit: maxRetries },
+    headers: {
+      // appear more like a real browser
+      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko)',
+      accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    },
+  });
+  return { url: res.url || url, statusCode: res.statusCode, contentType: res.headers?.['content-type'] ?? null, body: res.body || '' };
+};
+
 /**
  * fetchWebsiteAndContacts
  * @param {string} baseUrl - homepage origin e.g. 'https://example.com'
- * @param {string[]} contactPaths - ['/contact', '/about']
- * @param {object} options - { timeoutMs, maxRetries }
- * @returns {Promise<{emails: string[], phones: string[], socialLinks: string[]}>}
+ * @param {string[]} contactPaths - fallback guesses, e.g. ['/contact', '/about']
+ * @param {object} options - { timeoutMs, maxRetries, maxPages, timeBudgetMs, useSitemap, renderPage, throttle, httpGet }
+ * @returns {Promise<{emails: object[], phones: object[], socialLinks: object[], pagesVisited: string[], fetchedVia: string|null, redirectedTo: string|null}>}
  */
 export const fetchWebsiteAndContacts = async (baseUrl, contactPaths = [], options = {}) => {
   const timeoutMs = options.timeoutMs ?? 15000;
   const maxRetries = options.maxRetries ?? 1;
+  const maxPages = options.maxPages ?? DEFAULTS.WEBSITE_MAX_PAGES;
+  const timeBudgetMs = options.timeBudgetMs ?? DEFAULTS.WEBSITE_TIME_BUDGET_MS;
+  const startedAt = Date.now();
+  const throttle = options.throttle ?? null;
+  const httpGet = options.httpGet ?? fetchHtml;
 
-  if (!baseUrl) return { emails: [], phones: [], socialLinks: [] };
+  const results = { emails: [], phones: [], socialLinks: [], pagesVisited: [], fetchedVia: null, redirectedTo: null };
+  const contactsVia = new Set();
+  if (!baseUrl) return results;
 
-  const tried = new Set();
-  const results = { emails: [], phones: [], socialLinks: [] };
+  const allowedHosts = new Set();
+  try {
+    allowedHosts.add(bareHost(new URL(baseUrl).hostname));
+  } catch {
+    return results;
+  }
 
-  const urlsToTry = [baseUrl, ...(contactPaths || []).map((p) => new URL(p, baseUrl).toString())];
+  const fetchPage = async (url, { allowRender = true, isHome = false } = {}) => {
+    if (throttle) await throttle(url);
+    const remaining = timeBudgetMs - (Date.now() - startedAt);
+    if (remaining <= 0) return null;
+    const res = await httpGet(url, { timeoutMs: Math.min(timeoutMs, remaining), maxRetries });
+    // Redirects (http -> https, example.com -> www.example.com) stay on the same business site
+    const finalUrl = res.url || url;
+    if (!isSameSite(finalUrl, allowedHosts)) {
+      if (!isHome) return null;
+      const finalHost = new URL(finalUrl).hostname;
+      if (registrableDomain(finalHost) !== registrableDomain(new URL(baseUrl).hostname)) {
+        results.redirectedTo = finalUrl;
+        return null;
+      }
+      allowedHosts.add(bareHost(finalHost));
+    }
+    // error pages (a guessed /contact that 404s) are neither collected nor counted against maxPages
+    if (res.statusCode && (res.statusCode < 200 || res.statusCode >= 300)) return null;
+    const body = res.body || '';
+    if (allowRender && options.renderPage && looksJsRendered(body)) {
+      // the render counts against the site's time budget like any fetch
+      const rendered = await options.renderPage(finalUrl, { timeoutMs: timeBudgetMs - (Date.now() - startedAt) });
+      if (rendered && isSameSite(rendered.url, allowedHosts)) return { ...rendered, via: 'browser' };
+    }
+    return { url: finalUrl, body, via: 'http' };
+  };
 
-  for (const url of urlsToTry) {
-    const cleaned = url.replace(/#.*$/, '');
-    if (tried.has(cleaned)) continue;
-    tried.add(cleaned);
+  const collect = (page) => {
+    results.pagesVisited.push(page.url);
+    const { emails, phones, socialLinks } = extractContactsFromHtml(page.body);
+    results.emails.push(...emails.map((e) => ({ ...e, sourceUrl: page.url })));
+    results.phones.push(...phones.map((p) => ({ ...p, sourceUrl: page.url })));
+    // only business profiles, as canonical URLs (share buttons, widgets etc. are dropped)
+    const profiles = socialLinks.map(parseSocialProfile).filter(Boolean);
+    results.socialLinks.push(...profiles.map(({ platform, url }) => ({ platform, url, sourceUrl: page.url })));
+    if (emails.length || phones.length || profiles.length) contactsVia.add(page.via);
+  };
+
+  // 1. Homepage: contacts + link discovery
+  const candidates = new Map(); // normalized url -> score
+  const addCandidate = (url, score) => {
+    const key = normalizePageUrl(url);
+    candidates.set(key, Math.max(candidates.get(key) ?? 0, score));
+  };
 
+  let home = null;
+  try {
+    home = await fetchPage(baseUrl, { isHome: true });
+  } catch (err) {
+    log.debug(`Error fetching website ${baseUrl}: ${err.message}`);
+  }
+  if (results.redirectedTo) {
+    log.debug(`Website ${baseUrl} redirects off-site to ${results.redirectedTo}, not enriching`);
+    return results;
+  }
+  if (home) {
+    collect(home);
+    for (const { url, score } of discoverContactLinks(home.body, home.url, allowedHosts)) addCandidate(url, score);
+  }
+  const siteRoot = home?.url ?? baseUrl;
+
+  // 2. Optional sitemap - URL slugs only, no link text
+  if (options.useSitemap && results.pagesVisited.length < maxPages) {
     try {
-      const res = await gotScraping({
-        url: cleaned,
-        timeout: { request: timeoutMs },
-        retry: { limit: maxRetries },
-        headers: {
-          // appear more like a real browser
-          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko)',
-          accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        },
-      });
-
-      const { emails, phones, socialLinks } = extractContactsFromHtml(res.body || '');
-      results.emails.push(...emails);
-      results.phones.push(...phones);
-      results.socialLinks.push(...socialLinks);
-
-      // stop early if we found an email (common requirement)
-      if (results.emails.length) break;
+      const sitemap = await fetchPage(new URL('/sitemap.xml', siteRoot).toString(), { allowRender: false });
+      for (const url of parseSitemapUrls(sitemap?.body)) {
+        if (!isSameSite(url, allowedHosts)) continue;
+        const score = scoreLink(url);
+        if (score > 0) addCandidate(url, score);
+      }
     } catch (err) {
-      // silent fail — caller only wants best-effort enrichment
-      // optionally you can log the error to Dataset or KeyValue store
+      log.debug(`No usable sitemap for ${siteRoot}: ${err.message}`);
     }
+  }
 
-    // polite delay
-    await sleep(DEFAULTS.WEBSITE_REQUEST_DELAY);
+  // 3. Configured paths as a fallback guess
+  for (const p of contactPaths || []) {
+    try {
+      addCandidate(new URL(p, siteRoot).toString(), 2);
+    } catch {}
   }
 
-  // dedupe results
-  return {
-    emails: unique(results.emails || []),
-    phones: unique(results.phones || []),
-    socialLinks: unique(results.socialLinks || []),
-  };
-};
\ No newline at end of file
+  // 4. Fetch best candidates within the page/time budget
+  const visited = new Set(results.pagesVisited.map(normalizePageUrl));
+  const ranked = [...candidates.entries()].sort((a, b) => b[1] - a[1]).map(([url]) => url);
+  for (const url of ranked) {
+    if (results.pagesVisited.length >= maxPages || Date.now() - startedAt >= timeBudgetMs) break;
+    // stop early if we found at least one email and one phone
+    if (results.emails.length && results.phones.length) break;
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    // polite delay (the shared throttle in fetchPage already spaces requests per domain)
+    if (!throttle) await sleep(DEFAULTS.WEBSITE_REQUEST_DELAY);
+    try {
+      const page = await fetchPage(url);
+      if (!page) continue;
+      // a redirect may land on a page we already have (e.g. /contact-us -> /contact)
+      const finalKey = normalizePageUrl(page.url);
+      if (finalKey !== url && visited.has(finalKey)) continue;
+      visited.add(finalKey);
+      collect(page);
+    } catch (err) {
+      // best-effort enrichment: keep trying other candidates
+      log.debug(`Error fetching website ${url}: ${err.message}`);
+    }
+  }
+
+  // the same profile is usually linked from every page; keep its first source
+  const seenSocial = new Set();
+  results.socialLinks = results.socialLinks.filter((s) => !seenSocial.has(s.url) && seenSocial.add(s.url));
+  results.fetchedVia = [...contactsVia].sort().reverse().join('+') || null;
+  return results;
+};
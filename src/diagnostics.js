@@ -0,0 +1,117 @@
+// diagnostics.js
+// Offline selector health check against saved Yelp HTML snapshots (no network).
+//
+// Usage: npm run diagnose -- <snapshot-dir> [--thresholds '{"detail.name": 0.95}']
+//
+// Files whose name starts with "search" are checked as search result pages, every other
+// *.html file as a business detail page. Each snapshot is served to a headless browser
+// through route interception under its canonical Yelp URL; all other requests are aborted.
+// The extractors are the ones the crawler uses (crawler/page-extractors.js).
+// Prints the report as JSON and exits with code 1 when a field falls below its threshold.
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { chromium } from 'playwright';
+import { extractDetailFields, extractJsonLd, extractSearchPage } from './crawler/page-extractors.js';
+import { detectBlock } from './helpers/blocking.js';
+import {
+  buildDiagnosticsReport,
+  describeFailures,
+  initDiagnostics,
+  recordBlockedPage,
+  recordExtraction,
+} from './helpers/diagnostics.js';
+import { YELP_ORIGIN, extractYelpBusinessId } from './helpers/yelp-identity.js';
+import { DEFAULTS } from './config.js';
+
+const parseArgs = (argv) => {
+  const args = { dir: null, thresholds: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--thresholds') args.thresholds = JSON.parse(argv[++i]);
+    else args.dir = argv[i];
+  }
+  return args;
+};
+
+// The URL a snapshot is served under: its canonical link, else a stand-in Yelp URL
+const snapshotUrl = (html, file, kind) => {
+  const canonical = html.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)?.[1];
+  if (canonical) {
+    try {
+      return new URL(canonical, YELP_ORIGIN).toString();
+    } catch {}
+  }
+  const slug = encodeURIComponent(path.basename(file, '.html'));
+  return kind === 'search' ? `${YELP_ORIGIN}/search?find_desc=${slug}` : `${YELP_ORIGIN}/biz/${slug}`;
+};
+
+const checkSnapshot = async (browser, state, file) => {
+  const html = await readFile(file, 'utf8');
+  const kind = path.basename(file).toLowerCase().startsWith('search') ? 'search' : 'detail';
+  const url = snapshotUrl(html, file, kind);
+
+  const page = await browser.newPage();
+  try {
+    await page.route('**/*', (route) =>
+      route.request().url() === url
+        ? route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html })
+        : route.abort()
+    );
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+    const blockReason = await detectBlock({ page, response: null });
+    if (blockReason) {
+      recordBlockedPage(state, blockReason);
+      console.error(`${path.basename(file)}: block page (${blockReason}), skipped`);
+      return;
+    }
+
+    if (kind === 'search') {
+      const { businessHrefs, nextHref, pageCount, strategies } = await extractSearchPage(page);
+      recordExtraction(state, 'search', { fields: { businessLinks: businessHrefs, nextPage: nextHref, pageCount }, strategies });
+    } else {
+      const ld = await extractJsonLd(page);
+      const yelpBusinessId = await extractYelpBusinessId(page);
+      const { fields, strategies } = await extractDetailFields(page, { ld });
+      recordExtraction(state, 'detail', {
+        fields: { ...fields, yelpBusinessId },
+        strategies: { ...strategies, yelpBusinessId: yelpBusinessId ? 'dom:biz-id' : null },
+      });
+    }
+  } finally {
+    await page.close();
+  }
+};
+
+const { dir, thresholds } = parseArgs(process.argv.slice(2));
+if (!dir) {
+  console.error('Usage: npm run diagnose -- <snapshot-dir> [--thresholds \'{"detail.name": 0.95}\']');
+  process.exit(2);
+}
+
+const files = (await readdir(dir)).filter((f) => f.toLowerCase().endsWith('.html')).sort().map((f) => path.join(dir, f));
+if (!files.length) {
+  console.error(`No .html snapshots in ${dir}`);
+  process.exit(2);
+}
+
+const state = initDiagnostics();
+const browser = await chromium.launch({ headless: true });
+try {
+  for (const file of files) {
+    try {
+      await checkSnapshot(browser, state, file);
+    } catch (err) {
+      console.error(`${path.basename(file)}: ${err.message}`);
+    }
+  }
+} finally {
+  await browser.close();
+}
+
+const report = buildDiagnosticsReport(state, { ...DEFAULTS.DIAGNOSTIC_THRESHOLDS, ...thresholds });
+console.log(JSON.stringify(report, null, 2));
+if (!report.ok) {
+  console.error(describeFailures(report.failures));
+  process.exit(1);
+}
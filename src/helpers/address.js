@@ -0,0 +1,220 @@
+/**
+ * address.js
+ * Structured, normalized business addresses and coordinates.
+ *
+ * Both extraction paths (JSON-LD `address` object and the page's <address> lines)
+ * end up in the same `addressParts` shape and go through normalizeAddressParts(),
+ * so the flattened `address` string is comparable whichever path produced it.
+ *
+ *   addressParts: { street, city, region, postalCode, countryCode }
+ */
+
+import { findBusinessNode, findStateNodes, readPageStates } from './page-state.js';
+import { parseBusinessAlias } from './yelp-identity.js';
+
+const US_STATE_NAMES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+  'puerto rico': 'PR',
+};
+
+const COUNTRY_NAMES = {
+  'united states': 'US', usa: 'US', 'united states of america': 'US', canada: 'CA',
+  'united kingdom': 'GB', uk: 'GB', 'great britain': 'GB', australia: 'AU', 'new zealand': 'NZ',
+  ireland: 'IE', germany: 'DE', deutschland: 'DE', france: 'FR', spain: 'ES', españa: 'ES', italy: 'IT',
+  italia: 'IT', mexico: 'MX', méxico: 'MX', japan: 'JP', singapore: 'SG',
+};
+
+// Yelp's country sites, used when the page itself does not state a country
+const YELP_HOST_COUNTRIES = {
+  'yelp.com': 'US', 'yelp.ca': 'CA', 'yelp.co.uk': 'GB', 'yelp.com.au': 'AU', 'yelp.co.nz': 'NZ',
+  'yelp.ie': 'IE', 'yelp.de': 'DE', 'yelp.fr': 'FR', 'yelp.es': 'ES', 'yelp.it': 'IT',
+  'yelp.com.mx': 'MX', 'yelp.co.jp': 'JP', 'yelp.com.sg': 'SG',
+};
+
+const clean = (value) => {
+  const s = String(value ?? '').replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '');
+  return s || null;
+};
+
+/**
+ * normalizeCountryCode - 'US', 'us', 'United States', { name: 'US' } -> 'US'
+ */
+export const normalizeCountryCode = (value) => {
+  const raw = clean(typeof value === 'object' && value ? value.name ?? value['@id'] : value);
+  if (!raw) return null;
+  // names first: 'UK' is a common name but not the ISO code (GB)
+  return COUNTRY_NAMES[raw.toLowerCase()] ?? (/^[a-z]{2}$/i.test(raw) ? raw.toUpperCase() : null);
+};
+
+/**
+ * countryFromYelpHost - 'https://www.yelp.co.uk/biz/x' -> 'GB'
+ */
+export const countryFromYelpHost = (url) => {
+  try {
+    const host = new URL(url).hostname.replace(/^(www|m)\./, '');
+    return YELP_HOST_COUNTRIES[host] ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * normalizeAddressParts - one canonical form for any address source
+ * Regions become codes where known (California -> CA), postal codes are upper-cased
+ * and spaced consistently, the country becomes an ISO 3166-1 alpha-2 code.
+ */
+export const normalizeAddressParts = (parts = {}) => {
+  let countryCode = normalizeCountryCode(parts.countryCode ?? parts.country);
+  let region = clean(parts.region);
+  let postalCode = clean(parts.postalCode)?.toUpperCase() ?? null;
+
+  if (region && US_STATE_NAMES[region.toLowerCase()]) region = US_STATE_NAMES[region.toLowerCase()];
+  if (region && /^[a-z]{2,3}$/i.test(region)) region = region.toUpperCase();
+
+  if (postalCode && /^[A-Z]\d[A-Z]\s*\d[A-Z]\d$/.test(postalCode)) {
+    postalCode = `${postalCode.replace(/\s/g, '').slice(0, 3)} ${postalCode.replace(/\s/g, '').slice(3)}`;
+    countryCode ??= 'CA';
+  }
+  if (postalCode && /^\d{5}(-\d{4})?$/.test(postalCode) && region && Object.values(US_STATE_NAMES).includes(region)) {
+    countryCode ??= 'US';
+  }
+
+  return {
+    street: clean(parts.street)?.replace(/\s+,/g, ',') ?? null,
+    city: clean(parts.city),
+    region,
+    postalCode,
+    countryCode: countryCode ?? null,
+  };
+};
+
+/**
+ * formatAddress - the flattened `address` string ("street, city, region, postal")
+ */
+export const formatAddress = (parts) => {
+  if (!parts) return null;
+  const s = [parts.street, parts.city, parts.region, parts.postalCode].filter(Boolean).join(', ');
+  return s || null;
+};
+
+/**
+ * addressFromJsonLd - JSON-LD PostalAddress (or plain string) -> raw parts
+ */
+export const addressFromJsonLd = (ldAddress) => {
+  if (!ldAddress) return null;
+  if (typeof ldAddress === 'string') return addressFromLines(ldAddress.split('\n'));
+  return {
+    street: ldAddress.streetAddress,
+    city: ldAddress.addressLocality,
+    region: ldAddress.addressRegion,
+    postalCode: ldAddress.postalCode,
+    country: ldAddress.addressCountry,
+  };
+};
+
+/**
+ * addressFromLines - <address> block lines -> raw parts
+ * The last line usually holds "City, ST 12345" (US), "City, PROV A1A 1A1" (Canada)
+ * or "City POSTCODE" (UK/EU); everything before it is the street.
+ */
+export const addressFromLines = (lines = []) => {
+  let ls = lines.map(clean).filter(Boolean);
+  if (!ls.length) return null;
+  // Single-line form "123 Main St, San Francisco, CA 94103": the last two segments are the city line
+  if (ls.length === 1 && ls[0].split(',').length >= 3) {
+    const segs = ls[0].split(',');
+    ls = [segs.slice(0, -2).join(','), segs.slice(-2).join(',')].map(clean);
+  }
+  const last = ls[ls.length - 1];
+  const street = ls.slice(0, -1).join(', ') || null;
+
+  const na = last.match(/^(.*?),\s*([A-Za-z .]{2,})\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/i);
+  if (na) return { street, city: na[1], region: na[2], postalCode: na[3] };
+
+  const uk = last.match(/^(.*?),?\s+([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/i);
+  if (uk) return { street, city: uk[1], region: null, postalCode: uk[2], country: 'GB' };
+
+  const eu = last.match(/^(\d{4,5})\s+(.+)$/);
+  if (eu) return { street, city: eu[2], region: null, postalCode: eu[1] };
+
+  const cityRegion = last.match(/^(.*?),\s*([A-Za-z .]+)$/);
+  if (cityRegion) return { street, city: cityRegion[1], region: cityRegion[2], postalCode: null };
+  return { street: street ?? last, city: street ? last : null, region: null, postalCode: null };
+};
+
+/**
+ * extractAddressLines - text lines of the page's <address> block (runs in the browser)
+ */
+export const extractAddressLines = (page) =>
+  page.evaluate(() => {
+    const el = document.querySelector('address');
+    if (!el) return [];
+    const leaves = [...el.querySelectorAll('p, span')].filter((n) => !n.querySelector('p, span'));
+    const lines = leaves.map((n) => n.textContent.trim()).filter(Boolean);
+    return lines.length ? lines : el.innerText.split('\n');
+  });
+
+const validCoords = (lat, lng) => {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+  if (la === 0 && ln === 0) return null;
+  return { latitude: la, longitude: ln };
+};
+
+/**
+ * coordinatesFromMapUrl - pull lat/lng from static map / directions URLs
+ * e.g. '...staticmap?center=37.78%2C-122.41', '...?markers=...%7C37.78,-122.41', '.../@37.78,-122.41,15z'
+ */
+export const coordinatesFromMapUrl = (url) => {
+  let s = String(url || '');
+  try {
+    s = decodeURIComponent(s);
+  } catch {}
+  const m = s.match(/(?:center|markers|ll|q|daddr|destination)=(?:[^&]*\|)?(-?\d{1,2}\.\d+),\s*(-?\d{1,3}\.\d+)/)
+    || s.match(/@(-?\d{1,2}\.\d+),(-?\d{1,3}\.\d+)/);
+  return m ? validCoords(m[1], m[2]) : null;
+};
+
+/**
+ * coordinatesFromPageState - first valid latitude/longitude pair in the business's state node
+ * @param {object|null} business - see findBusinessNode() in helpers/page-state.js
+ */
+export const coordinatesFromPageState = (business) => {
+  if (!business) return null;
+  const [node] = findStateNodes([business], (n) => validCoords(n.latitude, n.longitude) !== null, 1);
+  return node ? validCoords(node.latitude, node.longitude) : null;
+};
+
+/**
+ * extractCoordinates - JSON-LD geo first, then embedded map URLs, then page state
+ * @returns {Promise<{latitude: number, longitude: number, source: string}|null>}
+ */
+export const extractCoordinates = async (page, ld) => {
+  const fromLd = validCoords(ld?.geo?.latitude, ld?.geo?.longitude);
+  if (fromLd) return { ...fromLd, source: 'json-ld' };
+
+  try {
+    const urls = await page.evaluate(() =>
+      [...document.querySelectorAll('img[src*="map"], a[href*="map"], iframe[src*="map"]')]
+        .map((el) => el.getAttribute('src') || el.getAttribute('href'))
+        .filter(Boolean)
+    );
+    for (const url of urls) {
+      const c = coordinatesFromMapUrl(url);
+      if (c) return { ...c, source: 'map-url' };
+    }
+  } catch {}
+
+  const business = findBusinessNode(await readPageStates(page), { alias: parseBusinessAlias(page.url()), name: ld?.name });
+  const fromState = coordinatesFromPageState(business);
+  return fromState ? { ...fromState, source: 'page-state' } : null;
+};
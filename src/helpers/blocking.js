@@ -0,0 +1,89 @@
+/**
+ * blocking.js
+ * Detection of Yelp anti-bot responses: CAPTCHAs, "unusual activity" interstitials,
+ * blocking status codes and pages that load but contain none of the expected content.
+ *
+ * A detected block is thrown as an error, so the request is retried. Before it is thrown
+ * the handler retires the session (new proxy IP + browser fingerprint) and stores a
+ * backoff in the request, which a pre-navigation hook waits out on the retry.
+ *
+ * Block statistics live in persisted actor state for the run report:
+ *   { total, byReason: { reason: n }, bySession: { sessionId: n } }
+ */
+
+export const BLOCK_STATUS_CODES = [403, 429, 503];
+
+// Unambiguous interstitial titles; business names like "Unblocked Drains" must not match
+const BLOCK_TITLE_RE = /captcha|access denied|you have been blocked|attention required|just a moment\.\.\.|are you a robot/i;
+const BLOCK_URL_RE = /captcha|\/sorry\b|\/blocked\b/i;
+const BLOCK_TEXT_RE = /detected unusual activity|unusual activity from your (computer|network|device)|verify (that )?you are (a )?human|are you a robot/i;
+const BLOCK_SELECTORS = [
+  '#px-captcha',
+  'iframe[src*="captcha-delivery.com"]',
+  'iframe[src*="hcaptcha.com"]',
+  'iframe[src*="recaptcha"]',
+  'form[action*="captcha"]',
+  '.g-recaptcha',
+];
+
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 20000;
+
+/**
+ * detectBlock - why a Yelp response looks like a block page, or null
+ * @param {object} ctx - { page, response } from the crawling context
+ * @returns {Promise<string|null>} - 'status-403', 'captcha', 'interstitial', ...
+ */
+export const detectBlock = async ({ page, response }) => {
+  const status = response?.status?.();
+  if (BLOCK_STATUS_CODES.includes(status)) return `status-${status}`;
+
+  try {
+    if (BLOCK_URL_RE.test(new URL(page.url()).pathname)) return 'captcha';
+  } catch {}
+  try {
+    if (BLOCK_TITLE_RE.test(await page.title())) return 'interstitial';
+  } catch {}
+  try {
+    if (await page.locator(BLOCK_SELECTORS.join(', ')).count()) return 'captcha';
+  } catch {}
+  try {
+    if (await page.getByText(BLOCK_TEXT_RE).count()) return 'interstitial';
+  } catch {}
+  return null;
+};
+
+/**
+ * isNoResultsPage - Yelp's genuine "no results" search page (not a block)
+ */
+export const isNoResultsPage = async (page) => {
+  try {
+    return (await page.getByText(/no results for|suggestions for improving (the )?results|we couldn't find/i).count()) > 0;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * blockBackoffMs - delay before the next attempt of a blocked request (exponential, jittered)
+ * @param {number} retryCount - attempts already made
+ */
+export const blockBackoffMs = (retryCount = 0) => {
+  const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** retryCount);
+  return Math.round(base * (0.75 + Math.random() * 0.5));
+};
+
+/**
+ * recordBlock - count a block in the persisted stats
+ * @param {object} stats - persisted state object
+ * @param {string|null} sessionId
+ * @param {string} reason
+ */
+export const recordBlock = (stats, sessionId, reason) => {
+  stats.total = (stats.total ?? 0) + 1;
+  stats.byReason ??= {};
+  stats.byReason[reason] = (stats.byReason[reason] ?? 0) + 1;
+  stats.bySession ??= {};
+  const key = sessionId ?? 'no-session';
+  stats.bySession[key] = (stats.bySession[key] ?? 0) + 1;
+};
@@ -0,0 +1,113 @@
+/**
+ * business-input.js
+ * Direct business input: known Yelp businesses are seeded straight as DETAIL requests,
+ * with no search (e.g. to refresh a CRM export or a previous run's results).
+ *
+ * Businesses come from any of:
+ *   businesses          - inline list of /biz/ URLs, aliases, or objects ({ url | yelpUrl | alias, ...fields })
+ *   businessesDatasetId - dataset ID or name whose items are such objects
+ *   businessesRecord    - key-value store record, "KEY" (default store) or "store-name/KEY",
+ *                         holding a list like `businesses` or newline-separated text
+ *
+ * Fields of an object entry named in `passthroughFields` are copied onto the output item as
+ * `passthrough`; with no passthroughFields nothing is copied.
+ *
+ * Exported functions:
+ *   hasBusinessInput(input)
+ *   parseBusinessEntry(entry, passthroughFields)
+ *   loadBusinessInput(input)
+ *   businessDetailRequest(business)
+ */
+
+import { Actor } from '@apify/actor';
+import { businessIdentity } from './yelp-identity.js';
+
+const URL_FIELDS = ['yelpUrl', 'url', 'alias'];
+const DATASET_PAGE_SIZE = 1000;
+
+/**
+ * hasBusinessInput - true when the input names businesses directly (search is skipped)
+ */
+export const hasBusinessInput = (input = {}) =>
+  Boolean((input.businesses || []).length || input.businessesDatasetId || input.businessesRecord);
+
+// A bare alias has no slashes or spaces: "joes-plumbing-san-francisco"
+const identityOf = (ref) => {
+  const value = String(ref ?? '').trim();
+  if (!value) return null;
+  if (/^[^/\s?#]+$/.test(value) && !value.includes('.')) return businessIdentity(`/biz/${value}`);
+  if (/^(www\.)?yelp\./i.test(value)) return businessIdentity(`https://${value}`);
+  return businessIdentity(value);
+};
+
+/**
+ * parseBusinessEntry - one business from a URL, alias or object; null when it names no business
+ * @param {string|object} entry
+ * @param {string[]} passthroughFields - fields to copy (none when empty)
+ * @returns {{alias: string, url: string, uniqueKey: string, passthrough: object|null}|null}
+ */
+export const parseBusinessEntry = (entry, passthroughFields = []) => {
+  if (entry && typeof entry === 'object') {
+    const ref = URL_FIELDS.map((f) => entry[f]).find((v) => typeof v === 'string' && v.trim());
+    const biz = identityOf(ref);
+    if (!biz) return null;
+    const passthrough = Object.fromEntries(passthroughFields.filter((k) => entry[k] !== undefined).map((k) => [k, entry[k]]));
+    return { ...biz, passthrough: Object.keys(passthrough).length ? passthrough : null };
+  }
+  const biz = identityOf(entry);
+  return biz ? { ...biz, passthrough: null } : null;
+};
+
+const readDataset = async (ref) => {
+  const dataset = await Actor.openDataset(ref);
+  const items = [];
+  for (let offset = 0; ; offset += DATASET_PAGE_SIZE) {
+    const { items: page } = await dataset.getData({ offset, limit: DATASET_PAGE_SIZE, clean: true });
+    items.push(...page);
+    if (page.length < DATASET_PAGE_SIZE) return items;
+  }
+};
+
+const readRecord = async (ref) => {
+  const slash = ref.lastIndexOf('/');
+  const store = await Actor.openKeyValueStore(slash > 0 ? ref.slice(0, slash) : undefined);
+  const key = slash > 0 ? ref.slice(slash + 1) : ref;
+  const value = await store.getValue(key);
+  if (value == null) throw new Error(`businessesRecord: no record "${ref}"`);
+  if (typeof value === 'string') return value.split(/\r?\n/);
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value.businesses)) return value.businesses;
+  throw new Error(`businessesRecord "${ref}" must hold a list of businesses or newline-separated URLs`);
+};
+
+/**
+ * loadBusinessInput - all directly requested businesses, deduplicated by alias
+ * @param {object} input - { businesses, businessesDatasetId, businessesRecord, passthroughFields }
+ * @returns {Promise<{businesses: object[], invalid: Array<string|object>}>}
+ */
+export const loadBusinessInput = async (input = {}) => {
+  const entries = [...(input.businesses || [])];
+  if (input.businessesDatasetId) entries.push(...(await readDataset(input.businessesDatasetId)));
+  if (input.businessesRecord) entries.push(...(await readRecord(input.businessesRecord)));
+
+  const passthroughFields = (input.passthroughFields || []).filter(Boolean);
+  const byAlias = new Map();
+  const invalid = [];
+  for (const entry of entries) {
+    if (typeof entry === 'string' && !entry.trim()) continue;
+    const biz = parseBusinessEntry(entry, passthroughFields);
+    if (!biz) invalid.push(entry);
+    else if (!byAlias.has(biz.alias)) byAlias.set(biz.alias, biz);
+  }
+  return { businesses: [...byAlias.values()], invalid };
+};
+
+/**
+ * businessDetailRequest - the DETAIL request of a directly requested business
+ * It has no search query, so it is not counted against maxResults.
+ */
+export const businessDetailRequest = ({ alias, url, uniqueKey, passthrough }) => ({
+  url,
+  uniqueKey,
+  userData: { label: 'DETAIL', alias, passthrough },
+});
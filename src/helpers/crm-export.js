@@ -0,0 +1,249 @@
+/**
+ * crm-export.js
+ * Field mapping and file formats of the CRM export (see crawler/export-stage.js).
+ *
+ * A field mapping is an object of output column -> source:
+ *   "name"                                   - a field of the item (rename)
+ *   "addressParts.city", "social.facebook"   - a nested field (pick)
+ *   "emailDetails[].email", "emails[0]"      - every element / one element of an array
+ *   { "path": "categories", "join": ", " }   - arrays are joined with "; " unless `join` says otherwise;
+ *                                              objects in arrays give their email / number / url / name
+ *   { "firstOf": ["bestEmail", "emails"] }   - the first of several sources that is filled
+ *                                              (an array source gives its first element)
+ *   { "value": "Yelp" }                      - a constant
+ *   { "path": "social.x", "handle": true }   - a social profile URL as its handle ("acmeplumbing")
+ * Any object source may add "default", used when the source is empty.
+ * Without a mapping, the CSV has every field, nested objects flattened to dotted columns.
+ *
+ * Exported functions:
+ *   compileMapping(mapping)
+ *   mapItem(columns, item)
+ *   flattenItem(item)
+ *   toCsv(rows, headers)
+ *   toVCard(item)
+ */
+
+import { parseSocialProfile } from './social.js';
+
+export const EXPORT_FORMATS = ['csv', 'vcard', 'hubspot', 'salesforce'];
+
+const DEFAULT_JOIN = '; ';
+// An object inside an array (emailDetails, phonesFromWebsite, ...) is exported as its main value
+const PRIMARY_KEYS = ['email', 'number', 'url', 'name'];
+const FLATTEN_DEPTH = 3;
+
+// HubSpot company import (default company properties)
+export const HUBSPOT_MAPPING = {
+  'Company name': 'name',
+  'Website URL': 'website',
+  'Phone Number': { firstOf: ['phoneE164', 'phone'] },
+  Email: { firstOf: ['bestEmail', 'emails'] },
+  'Street Address': 'addressParts.street',
+  City: 'addressParts.city',
+  'State/Region': 'addressParts.region',
+  'Postal Code': 'addressParts.postalCode',
+  'Country/Region': 'addressParts.countryCode',
+  'Year Founded': 'yearEstablished',
+  'Facebook Company Page': 'social.facebook',
+  'LinkedIn Company Page': 'social.linkedin',
+  'Twitter Handle': { path: 'social.x', handle: true },
+  Description: { path: 'categories', join: ', ' },
+  'Yelp URL': 'yelpUrl',
+  'Yelp Rating': 'rating',
+  'Yelp Review Count': 'reviewCount',
+};
+
+// Salesforce lead import (Data Import Wizard); Last Name is required, so it falls back to a placeholder
+export const SALESFORCE_MAPPING = {
+  Company: 'name',
+  'Last Name': { path: 'owner.name', default: 'Unknown' },
+  Title: 'owner.role',
+  Email: { firstOf: ['bestEmail', 'emails'] },
+  Phone: { firstOf: ['phoneE164', 'phone'] },
+  Website: 'website',
+  Street: 'addressParts.street',
+  City: 'addressParts.city',
+  'State/Province': 'addressParts.region',
+  'Zip/Postal Code': 'addressParts.postalCode',
+  Country: 'addressParts.countryCode',
+  'Lead Source': { value: 'Yelp' },
+  Description: { path: 'categories', join: ', ' },
+};
+
+const parsePath = (path) =>
+  String(path).split('.').map((segment) => {
+    const m = segment.match(/^([^[\]]*)(?:\[(\d*)\])?$/);
+    if (!m || (!m[1] && m[2] === undefined)) throw new Error(`invalid path "${path}"`);
+    return { key: m[1], index: m[2] };
+  });
+
+const resolve = (value, segments) => {
+  if (value == null) return null;
+  if (!segments.length) return value;
+  const [{ key, index }, ...rest] = segments;
+  const v = key ? value[key] : value;
+  if (index === '') {
+    return Array.isArray(v) ? v.map((el) => resolve(el, rest)).flat().filter((el) => el != null && el !== '') : null;
+  }
+  if (index !== undefined) return resolve(Array.isArray(v) ? v[Number(index)] : null, rest);
+  return resolve(v, rest);
+};
+
+const isEmpty = (v) => v == null || v === '' || (Array.isArray(v) && !v.length);
+
+const cell = (value, join = DEFAULT_JOIN) => {
+  if (value == null) return '';
+  if (Array.isArray(value)) {
+    return value
+      .map((v) => cell(v && typeof v === 'object' && !Array.isArray(v) ? v[PRIMARY_KEYS.find((k) => v[k] != null)] ?? v : v, join))
+      .filter(Boolean)
+      .join(join);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * compileMapping - validate a field mapping and turn it into column getters
+ * @param {object} mapping - column -> source (see the module comment)
+ * @returns {Array<{column: string, get: (item: object) => string}>}
+ */
+export const compileMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('exportFieldMapping must be an object of column -> source');
+  }
+  return Object.entries(mapping).map(([column, source]) => {
+    try {
+      const spec = typeof source === 'string' ? { path: source } : source;
+      if (!spec || typeof spec !== 'object') throw new Error('source must be a path or an object');
+      const join = spec.join ?? DEFAULT_JOIN;
+      const fallback = spec.default ?? null;
+      let read;
+      if ('value' in spec) read = () => spec.value;
+      else if (Array.isArray(spec.firstOf) && spec.firstOf.length) {
+        const paths = spec.firstOf.map(parsePath);
+        read = (item) => {
+          const v = paths.map((p) => resolve(item, p)).find((x) => !isEmpty(x));
+          return Array.isArray(v) ? v[0] : v;
+        };
+      } else if (typeof spec.path === 'string' && spec.path) {
+        const path = parsePath(spec.path);
+        read = (item) => resolve(item, path);
+      } else {
+        throw new Error('needs "path", "firstOf" or "value"');
+      }
+      if (spec.handle) {
+        const readUrl = read;
+        const toHandle = (url) => (typeof url === 'string' ? parseSocialProfile(url)?.handle ?? null : null);
+        read = (item) => {
+          const v = readUrl(item);
+          return Array.isArray(v) ? v.map(toHandle).filter(Boolean) : toHandle(v);
+        };
+      }
+      return {
+        column,
+        get: (item) => {
+          const v = read(item);
+          return cell(isEmpty(v) ? fallback : v, join);
+        },
+      };
+    } catch (err) {
+      throw new Error(`exportFieldMapping "${column}": ${err.message}`);
+    }
+  });
+};
+
+/**
+ * mapItem - one output row of a compiled mapping
+ */
+export const mapItem = (columns, item) => Object.fromEntries(columns.map(({ column, get }) => [column, get(item)]));
+
+/**
+ * flattenItem - every field as a string cell; nested objects become dotted columns
+ */
+export const flattenItem = (item, prefix = '', depth = 0, out = {}) => {
+  for (const [key, value] of Object.entries(item ?? {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && depth < FLATTEN_DEPTH) flattenItem(value, column, depth + 1, out);
+    else out[column] = cell(value);
+  }
+  return out;
+};
+
+// Spreadsheets run a cell starting with = + - @ as a formula, so it is prefixed with ' (plain
+// numbers such as E.164 phones and coordinates cannot hold a formula and are kept as they are)
+// a leading tab or carriage return is dropped by some spreadsheets, exposing what follows
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+  const v = FORMULA_START.test(value) && !PLAIN_NUMBER.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+
+/**
+ * toCsv - RFC 4180 CSV of string rows; headers default to every column in order of appearance
+ * Cells that a spreadsheet would run as a formula are prefixed with '.
+ */
+export const toCsv = (rows, headers = null) => {
+  const cols = headers ?? [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return [cols, ...rows.map((r) => cols.map((c) => r[c] ?? ''))].map((line) => line.map(csvCell).join(',')).join('\r\n');
+};
+
+const vcardEscape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// vCard lines are folded at 75 octets of UTF-8 (RFC 6350 section 3.2), never inside a character;
+// continuation lines start with a space, which counts toward their 75
+const fold = (line) => {
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > 75) {
+      out.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join('\r\n');
+};
+
+/**
+ * toVCard - vCard 3.0 card of a business
+ */
+export const toVCard = (item) => {
+  const a = item.addressParts ?? {};
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardEscape(item.name ?? item.yelpUrl)}`,
+    `ORG:${vcardEscape(item.name ?? '')}`,
+    'N:;;;;',
+    'X-ABSHOWAS:COMPANY',
+  ];
+  for (const tel of [...new Set([item.phoneE164 ?? item.phone, ...(item.phonesFromWebsite ?? []).map((p) => p.number)])]) {
+    if (tel) lines.push(`TEL;TYPE=WORK,VOICE:${vcardEscape(tel)}`);
+  }
+  (item.emails ?? []).forEach((email, i) => lines.push(`EMAIL;TYPE=INTERNET,WORK${i === 0 ? ',PREF' : ''}:${vcardEscape(email)}`));
+  if (a.street || a.city || a.postalCode) {
+    lines.push(`ADR;TYPE=WORK:;;${[a.street, a.city, a.region, a.postalCode, a.countryCode].map((v) => vcardEscape(v ?? '')).join(';')}`);
+  }
+  if (item.latitude != null && item.longitude != null) lines.push(`GEO:${item.latitude};${item.longitude}`);
+  if (item.website) lines.push(`URL:${item.website}`);
+  if (item.yelpUrl) lines.push(`URL;TYPE=yelp:${item.yelpUrl}`);
+  for (const [platform, url] of Object.entries(item.social ?? {})) {
+    if (url) lines.push(`X-SOCIALPROFILE;TYPE=${platform}:${url}`);
+  }
+  if (item.categories?.length) lines.push(`CATEGORIES:${item.categories.map(vcardEscape).join(',')}`);
+  const notes = [
+    item.rating != null ? `Yelp rating ${item.rating} (${item.reviewCount ?? 0} reviews)` : null,
+    item.owner?.name ? `${item.owner.role ?? 'Owner'}: ${item.owner.name}` : null,
+  ].filter(Boolean);
+  if (notes.length) lines.push(`NOTE:${vcardEscape(notes.join('\n'))}`);
+  lines.push('END:VCARD');
+  return lines.map(fold).join('\r\n');
+};
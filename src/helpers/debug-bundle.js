@@ -0,0 +1,95 @@
+/**
+ * debug-bundle.js
+ * Debug bundles for failed and blocked requests, stored in the default key-value store.
+ *
+ * A bundle is a JSON record (URL, final URL, status, error stack, proxy session, reason)
+ * plus a full-page screenshot and the page HTML when a page is available:
+ *   DEBUG-<label>-<hash>-<attempt>             - JSON record, links the two below
+ *   DEBUG-<label>-<hash>-<attempt>-screenshot  - image/png
+ *   DEBUG-<label>-<hash>-<attempt>-html        - text/html
+ *
+ * Keys are derived from the request's uniqueKey and attempt, so the same failure is
+ * never stored twice and the failed-request record can point at its bundle.
+ * The number of bundles per run is capped (persisted, so migrations don't reset it).
+ */
+
+import { createHash } from 'node:crypto';
+import { Actor, log } from '@apify/actor';
+
+const SCREENSHOT_TIMEOUT_MS = 10000;
+
+/**
+ * debugBundleKey - stable key of a request attempt's bundle
+ * @param {object} request - Crawlee request
+ * @returns {string}
+ */
+export const debugBundleKey = (request) => {
+  const label = String(request.userData?.label || 'SEARCH').replace(/[^a-zA-Z0-9]/g, '');
+  const hash = createHash('sha1').update(request.uniqueKey ?? request.url).digest('hex').slice(0, 12);
+  return `DEBUG-${label}-${hash}-${request.retryCount ?? 0}`;
+};
+
+/**
+ * createDebugBundles - returns an async capture function
+ * @param {object} opts - { maxBundles } per run
+ * @returns {Promise<(ctx: object) => Promise<string|null>>}
+ *   ctx: { page, request, response, session, proxyInfo, error, reason };
+ *   resolves to the bundle key (also set as request.userData.debugBundleKey), or null when capped
+ */
+export const createDebugBundles = async ({ maxBundles = 20 } = {}) => {
+  const store = await Actor.openKeyValueStore();
+  const state = await Actor.useState('DEBUG_BUNDLES', { count: 0, keys: {} });
+
+  return async ({ page = null, request, response = null, session = null, proxyInfo = null, error = null, reason = null }) => {
+    const key = debugBundleKey(request);
+    if (state.keys[key]) return key;
+    if (state.count >= maxBundles) return null;
+    state.count++;
+    state.keys[key] = true;
+
+    let finalUrl = null;
+    let screenshotKey = null;
+    let htmlKey = null;
+    if (page) {
+      try {
+        finalUrl = page.url();
+      } catch {}
+      try {
+        const png = await page.screenshot({ fullPage: true, timeout: SCREENSHOT_TIMEOUT_MS });
+        await store.setValue(`${key}-screenshot`, png, { contentType: 'image/png' });
+        screenshotKey = `${key}-screenshot`;
+      } catch (err) {
+        log.debug(`Debug bundle ${key}: no screenshot (${err.message})`);
+      }
+      try {
+        await store.setValue(`${key}-html`, await page.content(), { contentType: 'text/html; charset=utf-8' });
+        htmlKey = `${key}-html`;
+      } catch (err) {
+        log.debug(`Debug bundle ${key}: no HTML (${err.message})`);
+      }
+    }
+
+    let status = null;
+    try {
+      status = response?.status?.() ?? response?.statusCode ?? null;
+    } catch {}
+
+    await store.setValue(key, {
+      url: request.url,
+      label: request.userData?.label || 'SEARCH',
+      finalUrl,
+      status,
+      reason,
+      error: error?.message ?? null,
+      errorStack: error?.stack ?? null,
+      retryCount: request.retryCount ?? 0,
+      sessionId: proxyInfo?.sessionId ?? session?.id ?? null,
+      screenshotKey,
+      htmlKey,
+      capturedAt: new Date().toISOString(),
+    });
+    request.userData.debugBundleKey = key;
+    log.info(`Saved debug bundle ${key} for ${request.url}`);
+    return key;
+  };
+};
@@ -0,0 +1,96 @@
+/**
+ * diagnostics.js
+ * Selector health check: per-field hit rates, the strategy that produced each value
+ * and a few sample values, collected from SEARCH and DETAIL pages.
+ *
+ * The same aggregation is used by the actor's diagnostic mode (live pages) and by
+ * `npm run diagnose` (saved HTML snapshots, no network). State is a plain object so
+ * the actor can keep it in persisted state:
+ *   pages  - kind -> pages checked ('search' | 'detail')
+ *   blocks - pages that were block pages instead of content (reason -> count)
+ *   fields - 'kind.field' -> { pages, filled, strategies: { strategy: n }, samples: [] }
+ */
+
+import { isFilled } from './misc.js';
+
+const MAX_SAMPLES = 3;
+const MAX_SAMPLE_LENGTH = 120;
+
+const sampleOf = (value) => {
+  const s = typeof value === 'string' ? value : JSON.stringify(value);
+  return s.length > MAX_SAMPLE_LENGTH ? `${s.slice(0, MAX_SAMPLE_LENGTH)}…` : s;
+};
+
+/**
+ * initDiagnostics - fill in a (possibly restored) diagnostics state object
+ */
+export const initDiagnostics = (state = {}) => {
+  state.pages ??= {};
+  state.blocks ??= {};
+  state.fields ??= {};
+  return state;
+};
+
+/**
+ * recordExtraction - add one page's extraction result
+ * @param {object} state
+ * @param {'search'|'detail'} kind
+ * @param {{fields: object, strategies: object}} result
+ */
+export const recordExtraction = (state, kind, { fields, strategies }) => {
+  state.pages[kind] = (state.pages[kind] ?? 0) + 1;
+  for (const [name, value] of Object.entries(fields)) {
+    const f = (state.fields[`${kind}.${name}`] ??= { pages: 0, filled: 0, strategies: {}, samples: [] });
+    f.pages++;
+    if (!isFilled(value)) continue;
+    f.filled++;
+    const strategy = strategies[name] ?? 'unknown';
+    f.strategies[strategy] = (f.strategies[strategy] ?? 0) + 1;
+    const sample = sampleOf(value);
+    if (f.samples.length < MAX_SAMPLES && !f.samples.includes(sample)) f.samples.push(sample);
+  }
+};
+
+/**
+ * recordBlockedPage - a sampled page turned out to be a block page
+ */
+export const recordBlockedPage = (state, reason) => {
+  state.blocks[reason] = (state.blocks[reason] ?? 0) + 1;
+};
+
+/**
+ * buildDiagnosticsReport - hit rates plus the fields that fell below their threshold
+ * @param {object} state
+ * @param {object} thresholds - 'kind.field' -> minimum fill rate (0..1); fields without one are only reported
+ * @returns {{pages: object, blocks: object, fields: object, failures: object[], ok: boolean}}
+ */
+export const buildDiagnosticsReport = (state, thresholds = {}) => {
+  const fields = {};
+  for (const [key, f] of Object.entries(state.fields)) {
+    fields[key] = {
+      hitRate: f.pages ? Math.round((f.filled / f.pages) * 1000) / 1000 : null,
+      filled: f.filled,
+      pages: f.pages,
+      threshold: thresholds[key] ?? null,
+      strategies: f.strategies,
+      samples: f.samples,
+    };
+  }
+
+  const failures = [];
+  for (const [key, min] of Object.entries(thresholds)) {
+    const f = fields[key];
+    // a kind with no sampled pages cannot fail (e.g. snapshots of detail pages only)
+    if (!state.pages[key.split('.')[0]]) continue;
+    const hitRate = f?.hitRate ?? 0;
+    if (hitRate < min) failures.push({ field: key, hitRate, threshold: min });
+  }
+
+  return { pages: state.pages, blocks: state.blocks, fields, failures, ok: failures.length === 0 };
+};
+
+/**
+ * describeFailures - one-line message for a failed health check
+ */
+export const describeFailures = (failures) =>
+  `Selector health check failed: ${failures.map((f) => `${f.field} ${Math.round(f.hitRate * 100)}% < ${Math.round(f.threshold * 100)}%`).join(', ')}`;
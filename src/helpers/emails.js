@@ -0,0 +1,180 @@
+/**
+ * emails.js
+ * Email extraction with de-obfuscation, junk filtering and quality scoring.
+ *
+ * Sources, strongest first:
+ *   mailto:     - `mailto:` links (percent-decoded, query stripped)
+ *   cfemail     - Cloudflare email protection (`data-cfemail` / `/cdn-cgi/l/email-protection#…`)
+ *   text        - plain addresses in visible text (HTML entities decoded)
+ *   obfuscated  - "name [at] domain [dot] com" and similar spellings
+ */
+
+const EMAIL_RE = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,24}/gi;
+const EMAIL_EXACT_RE = new RegExp(`^${EMAIL_RE.source}$`, 'i');
+
+const ASSET_EXT = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|json|woff2?|ttf|eot|mp4|webm|pdf)$/i;
+
+// Website builders, monitoring and placeholder domains that show up in page source
+const VENDOR_DOMAINS = [
+  'sentry.io', 'sentry-next.wixpress.com', 'wixpress.com', 'wix.com', 'squarespace.com',
+  'godaddy.com', 'secureserver.net', 'weebly.com', 'shopify.com', 'mailchimp.com', 'hubspot.com',
+  'example.com', 'example.org', 'domain.com', 'yourdomain.com', 'email.com', 'company.com',
+  'sentry.wixpress.com', 'ingest.sentry.io', 'mysite.com', 'website.com', 'yelp.com',
+];
+
+const ROLE_LOCAL_PARTS = [
+  'info', 'sales', 'contact', 'hello', 'office', 'admin', 'support', 'help', 'service', 'booking',
+  'bookings', 'reservations', 'enquiries', 'inquiries', 'team', 'mail', 'billing', 'accounts',
+  'marketing', 'orders', 'appointments', 'frontdesk', 'reception', 'hr', 'jobs', 'careers', 'press',
+];
+
+const SOURCE_CONFIDENCE = { mailto: 0.9, cfemail: 0.9, text: 0.7, obfuscated: 0.6 };
+
+// bestEmail must be trustworthy: an off-domain address qualifies only from a mailto/cfemail link,
+// so a stray address in page text (a widget's, a web designer's) never becomes the one to use
+export const BEST_EMAIL_MIN_CONFIDENCE = 0.75;
+
+const decodeEntities = (s) =>
+  s
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&(commat|at);/gi, '@')
+    .replace(/&period;/gi, '.')
+    .replace(/&amp;/g, '&');
+
+/**
+ * decodeCfEmail - decode a Cloudflare-protected address (hex string, first byte is the XOR key)
+ */
+export const decodeCfEmail = (hex) => {
+  if (!/^[0-9a-f]{4,}$/i.test(hex || '') || hex.length % 2) return null;
+  const key = parseInt(hex.slice(0, 2), 16);
+  let out = '';
+  for (let i = 2; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+  return out;
+};
+
+const domainOf = (email) => email.split('@')[1];
+const bareHost = (host) => String(host || '').toLowerCase().replace(/^www\./, '');
+
+/**
+ * isJunkEmail - asset filenames (logo@2x.png), vendor/tracking domains, hashed IDs, no-reply addresses
+ */
+export const isJunkEmail = (email) => {
+  const [local, domain] = email.split('@');
+  if (!local || !domain) return true;
+  if (ASSET_EXT.test(email)) return true;
+  if (VENDOR_DOMAINS.some((d) => domain === d || domain.endsWith(`.${d}`))) return true;
+  if (/^[0-9a-f]{16,}$/i.test(local)) return true; // hashed IDs (Sentry DSNs, tracking keys)
+  if (/^(no-?reply|do-?not-?reply|mailer-daemon|postmaster)$/i.test(local)) return true;
+  if (/^u00[0-9a-f]{2}/i.test(local)) return true; // escaped JSON leftovers like "u003einfo@…"
+  return false;
+};
+
+/**
+ * extractEmailCandidates - every email-looking string in an HTML document, with its source
+ * @param {string} html
+ * @returns {Array<{email: string, source: string}>}
+ */
+export const extractEmailCandidates = (html = '') => {
+  const out = [];
+  const add = (email, source) => {
+    const e = String(email || '').trim().toLowerCase().replace(/^mailto:/, '').replace(/[.,;:]+$/, '');
+    if (EMAIL_EXACT_RE.test(e) && !isJunkEmail(e)) out.push({ email: e, source });
+  };
+
+  for (const m of html.matchAll(/href=["']mailto:([^"'?]+)/gi)) {
+    let addr = m[1];
+    try {
+      addr = decodeURIComponent(addr);
+    } catch {}
+    for (const a of decodeEntities(addr).split(/[,;]/)) add(a, 'mailto');
+  }
+
+  for (const m of html.matchAll(/data-cfemail=["']([0-9a-f]+)["']|email-protection#([0-9a-f]+)/gi)) {
+    add(decodeCfEmail(m[1] || m[2]), 'cfemail');
+  }
+
+  const text = decodeEntities(html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' '));
+  for (const m of text.matchAll(EMAIL_RE)) add(m[0], 'text');
+
+  // "name [at] domain [dot] com", "name (at) domain (dot) co (dot) uk", "name {at} domain.com"
+  const dot = String.raw`(?:\s*[[({]\s*dot\s*[\])}]\s*|\.)`;
+  const obf = new RegExp(String.raw`([a-z0-9._%+-]+)\s*[[({]\s*at\s*[\])}]\s*([a-z0-9-]+(?:${dot}[a-z0-9-]+)+)`, 'gi');
+  for (const m of text.matchAll(obf)) {
+    add(`${m[1]}@${m[2].replace(new RegExp(dot, 'gi'), '.')}`, 'obfuscated');
+  }
+  return out;
+};
+
+/**
+ * emailType - 'role' (info@, sales@, …) or 'personal'
+ */
+export const emailType = (email) => {
+  const local = email.split('@')[0].toLowerCase();
+  return ROLE_LOCAL_PARTS.some((r) => local === r || local.startsWith(`${r}.`) || local.startsWith(`${r}-`)) ? 'role' : 'personal';
+};
+
+/**
+ * domainMatchesWebsite - the email domain is the website's host (www-insensitive) or a parent/sub-domain of it
+ */
+export const domainMatchesWebsite = (email, website) => {
+  let host;
+  try {
+    host = bareHost(new URL(website).hostname);
+  } catch {
+    return false;
+  }
+  const domain = bareHost(domainOf(email));
+  return domain === host || host.endsWith(`.${domain}`) || domain.endsWith(`.${host}`);
+};
+
+/**
+ * scoreEmails - dedupe candidates and rank them by confidence (best first)
+ * Confidence starts from the strongest source an address was seen in, then
+ * rewards a domain match with the website and repeated sightings.
+ *
+ * @param {Array<{email: string, source: string, sourceUrl?: string}>} candidates
+ * @param {{website?: string}} opts
+ * @returns {Array<{email: string, confidence: number, type: string, domainMatchesWebsite: boolean,
+ *   source: string, sourceUrl: string|null}>}
+ */
+export const scoreEmails = (candidates = [], { website = null } = {}) => {
+  const byEmail = new Map();
+  for (const c of candidates) {
+    const prev = byEmail.get(c.email);
+    if (!prev) {
+      byEmail.set(c.email, { ...c, seen: 1 });
+    } else {
+      prev.seen++;
+      if (SOURCE_CONFIDENCE[c.source] > SOURCE_CONFIDENCE[prev.source]) Object.assign(prev, { source: c.source, sourceUrl: c.sourceUrl });
+    }
+  }
+
+  return [...byEmail.values()]
+    .map(({ email, source, sourceUrl, seen }) => {
+      const matches = website ? domainMatchesWebsite(email, website) : false;
+      const type = emailType(email);
+      let confidence = SOURCE_CONFIDENCE[source] ?? 0.5;
+      if (matches) confidence += 0.15;
+      else if (website) confidence -= 0.15;
+      if (seen > 1) confidence += 0.05;
+      if (type === 'role' && matches) confidence += 0.05;
+      return {
+        email,
+        confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+        type,
+        domainMatchesWebsite: matches,
+        source,
+        sourceUrl: sourceUrl ?? null,
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * pickBestEmail - the address outreach should use: the top-scored one, if it is confident enough
+ * @param {Array<{email: string, confidence: number}>} emailDetails - scoreEmails() output
+ * @returns {string|null}
+ */
+export const pickBestEmail = (emailDetails = []) =>
+  emailDetails.find((e) => e.confidence >= BEST_EMAIL_MIN_CONFIDENCE)?.email ?? null;
@@ -0,0 +1,75 @@
+/**
+ * filters.js
+ * Declarative business filters from the actor input.
+ *
+ * Each filter runs at the earliest stage that has its data:
+ *   yelp     - on the Yelp record in DETAIL, before website enrichment is paid for
+ *   website  - on the merged record, after enrichment
+ * A rejected business is not saved and does not count toward maxResults.
+ *
+ * Missing data never passes a filter: a business without a rating fails minRating,
+ * one without a price level fails priceLevels, and so on.
+ */
+
+/**
+ * priceTier - number of currency symbols in a Yelp price level ("$$" -> 2), or null
+ */
+export const priceTier = (value) => {
+  const m = String(value ?? '').trim().match(/^([$€£¥₩₹])\1{0,3}(?!\1)/);
+  return m ? m[0].length : null;
+};
+
+const normalizeCategory = (c) => String(c).trim().toLowerCase();
+const matchesAny = (categories, terms) =>
+  categories.some((c) => terms.some((t) => normalizeCategory(c).includes(t)));
+
+/**
+ * buildFilters - active filters for an input
+ * @param {object} input - { minRating, minReviewCount, requireWebsite, requireEmail, priceLevels,
+ *   includeCategories, excludeCategories }
+ * @returns {Array<{name: string, stage: 'yelp'|'website', test: (item: object) => boolean}>}
+ */
+export const buildFilters = (input = {}) => {
+  const filters = [];
+  const { minReviewCount, requireWebsite, requireEmail } = input;
+  // the input schema has no decimal type, so the rating may come in as a string ("4.5")
+  const minRating = input.minRating === '' || input.minRating == null ? null : Number(input.minRating);
+
+  if (minRating != null && !Number.isNaN(minRating)) {
+    filters.push({ name: 'minRating', stage: 'yelp', test: (i) => i.rating != null && i.rating >= minRating });
+  }
+  if (minReviewCount != null) {
+    filters.push({ name: 'minReviewCount', stage: 'yelp', test: (i) => i.reviewCount != null && i.reviewCount >= minReviewCount });
+  }
+  if (requireWebsite) {
+    filters.push({ name: 'requireWebsite', stage: 'yelp', test: (i) => Boolean(i.website) });
+  }
+  const tiers = (input.priceLevels || []).map(priceTier).filter(Boolean);
+  if (tiers.length) {
+    filters.push({ name: 'priceLevels', stage: 'yelp', test: (i) => tiers.includes(priceTier(i.priceLevel)) });
+  }
+  const include = (input.includeCategories || []).map(normalizeCategory).filter(Boolean);
+  if (include.length) {
+    filters.push({ name: 'includeCategories', stage: 'yelp', test: (i) => matchesAny(i.categories || [], include) });
+  }
+  const exclude = (input.excludeCategories || []).map(normalizeCategory).filter(Boolean);
+  if (exclude.length) {
+    filters.push({ name: 'excludeCategories', stage: 'yelp', test: (i) => !matchesAny(i.categories || [], exclude) });
+  }
+  if (requireEmail) {
+    // emails only come from the website, so no website already means no email
+    filters.push({ name: 'requireEmail', stage: 'yelp', test: (i) => Boolean(i.website) });
+    filters.push({ name: 'requireEmail', stage: 'website', test: (i) => (i.emails || []).length > 0 });
+  }
+  return filters;
+};
+
+/**
+ * rejectingFilter - name of the first filter of a stage the item fails, or null if it passes
+ * @param {Array} filters - buildFilters()
+ * @param {object} item
+ * @param {'yelp'|'website'} stage
+ * @returns {string|null}
+ */
+export const rejectingFilter = (filters, item, stage) =>
+  filters.find((f) => f.stage === stage && !f.test(item))?.name ?? null;
@@ -0,0 +1,306 @@
+/**
+ * hours.js
+ * Structured opening hours and "open now" evaluation.
+ *
+ * Shape produced by the parsers:
+ *   {
+ *     weekly: { monday: [{ open: '09:00', close: '17:00', overnight: false }], tuesday: [], ... },
+ *     special: [{ date: '2024-12-25', label: 'Wed, Dec 25', closed: true, intervals: [] }],
+ *     source: 'json-ld' | 'dom',
+ *   }
+ * A weekday with [] is closed, null means unknown. "Open 24 hours" is 00:00-24:00.
+ * Overnight ranges (e.g. 22:00-02:00) keep their clock times and set `overnight`.
+ */
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_ALIASES = {
+  mo: 'monday', mon: 'monday', monday: 'monday',
+  tu: 'tuesday', tue: 'tuesday', tues: 'tuesday', tuesday: 'tuesday',
+  we: 'wednesday', wed: 'wednesday', wednesday: 'wednesday',
+  th: 'thursday', thu: 'thursday', thur: 'thursday', thurs: 'thursday', thursday: 'thursday',
+  fr: 'friday', fri: 'friday', friday: 'friday',
+  sa: 'saturday', sat: 'saturday', saturday: 'saturday',
+  su: 'sunday', sun: 'sunday', sunday: 'sunday',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * toWeekday - 'Mo', 'Mon', 'Monday', 'https://schema.org/Monday' -> 'monday'
+ */
+export const toWeekday = (value) => {
+  const key = String(value || '').split('/').pop().trim().toLowerCase().replace(/\.$/, '');
+  return DAY_ALIASES[key] ?? null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * parseClockTime - '9:00 AM', '12 pm', '21:30', '21:30:00' -> 'HH:MM' (null if unparseable)
+ */
+export const parseClockTime = (text) => {
+  const m = String(text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap])\.?m?\.?$/i)
+    || String(text || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?()$/);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const ampm = (m[3] || '').toLowerCase();
+  if (ampm === 'p' && h < 12) h += 12;
+  if (ampm === 'a' && h === 12) h = 0;
+  if (h > 24 || min > 59) return null;
+  return `${pad(h)}:${pad(min)}`;
+};
+
+const makeInterval = (open, close) => {
+  // "00:00" as a closing time means midnight at the end of the day
+  const closeNorm = close === '00:00' && open !== '00:00' ? '24:00' : close;
+  return { open, close: closeNorm, overnight: toMinutes(closeNorm) <= toMinutes(open) && closeNorm !== '24:00' };
+};
+
+/**
+ * parseHoursText - one day's hours text (one entry per line/shift) -> intervals
+ * Handles 'Closed', 'Open 24 hours', split shifts and '(Next day)' overnight ranges.
+ *
+ * @param {string|string[]} lines
+ * @returns {{closed: boolean, intervals: Array<{open: string, close: string, overnight: boolean}>}|null}
+ */
+export const parseHoursText = (lines) => {
+  const intervals = [];
+  let closed = false;
+  for (const raw of [].concat(lines || [])) {
+    const text = String(raw).replace(/\(next day\)|open now|closed now/gi, '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    if (/open 24 hours|24 hours|24\/7/i.test(text)) {
+      intervals.push({ open: '00:00', close: '24:00', overnight: false });
+      continue;
+    }
+    if (/^closed$/i.test(text)) {
+      closed = true;
+      continue;
+    }
+    // A line may itself hold several shifts ("9:00 AM - 12:00 PM, 1:00 PM - 5:00 PM")
+    for (const range of text.split(/,|;|\band\b/i)) {
+      const [from, to] = range.split(/\s*[-–—]\s*|\s+to\s+/i);
+      const open = parseClockTime(from);
+      const close = parseClockTime(to);
+      if (open && close) intervals.push(makeInterval(open, close));
+    }
+  }
+  if (!intervals.length && !closed) return null;
+  return { closed: !intervals.length, intervals };
+};
+
+const emptyWeek = () => Object.fromEntries(WEEKDAYS.map((d) => [d, null]));
+
+const hasAnyDay = (weekly) => WEEKDAYS.some((d) => weekly[d] !== null);
+
+/**
+ * parseJsonLdHours - hours from JSON-LD `openingHoursSpecification` or `openingHours`
+ * Specifications with validFrom/validThrough are special (holiday) hours.
+ *
+ * @param {object} ld - LocalBusiness JSON-LD block
+ * @returns {object|null}
+ */
+export const parseJsonLdHours = (ld) => {
+  if (!ld) return null;
+  const weekly = emptyWeek();
+  const special = [];
+
+  for (const spec of [].concat(ld.openingHoursSpecification || [])) {
+    if (!spec) continue;
+    const open = parseClockTime(spec.opens);
+    const close = parseClockTime(spec.closes);
+    const isSpecial = spec.validFrom || spec.validThrough;
+    // 00:00-00:00 marks a closed day (schema.org); Google's 24-hour convention is 00:00-23:59
+    const closed = !open || !close || (open === '00:00' && close === '00:00');
+    const allDay = open === '00:00' && close === '23:59';
+    if (isSpecial) {
+      special.push({
+        date: String(spec.validFrom || spec.validThrough).slice(0, 10),
+        label: spec.name || null,
+        closed,
+        intervals: closed ? [] : [makeInterval(open, close)],
+      });
+      continue;
+    }
+    for (const day of [].concat(spec.dayOfWeek || [])) {
+      const wd = toWeekday(day);
+      if (!wd) continue;
+      weekly[wd] ??= [];
+      if (closed) continue;
+      weekly[wd].push(allDay ? { open: '00:00', close: '24:00', overnight: false } : makeInterval(open, close));
+    }
+  }
+
+  // Compact form: ["Mo-Fr 09:00-17:00", "Sa 10:00-14:00"]
+  for (const entry of [].concat(ld.openingHours || [])) {
+    const m = String(entry).trim().match(/^([A-Za-z ,-]+?)\s+(\d.*)$/);
+    if (!m) continue;
+    const days = [];
+    for (const part of m[1].split(',')) {
+      const [a, b] = part.split('-').map(toWeekday);
+      if (!a) continue;
+      if (!b) days.push(a);
+      else for (let i = WEEKDAYS.indexOf(a); ; i = (i + 1) % 7) {
+        days.push(WEEKDAYS[i]);
+        if (WEEKDAYS[i] === b) break;
+      }
+    }
+    const parsed = parseHoursText(m[2]);
+    for (const d of days) {
+      weekly[d] ??= [];
+      if (parsed) weekly[d].push(...parsed.intervals);
+    }
+  }
+
+  if (!hasAnyDay(weekly) && !special.length) return null;
+  return { weekly, special, source: 'json-ld' };
+};
+
+/**
+ * parseSpecialDate - 'Wed, Dec 25' -> '2024-12-25', choosing the year so the date is not far in the past
+ */
+const parseSpecialDate = (label, now = new Date()) => {
+  const m = String(label).toLowerCase().match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})\b/);
+  if (!m) return null;
+  const month = MONTHS.indexOf(m[1]);
+  let year = now.getUTCFullYear();
+  if (Date.UTC(year, month, Number(m[2])) < now.getTime() - 60 * 86400000) year++;
+  return `${year}-${pad(month + 1)}-${pad(Number(m[2]))}`;
+};
+
+/**
+ * parseDomHours - hours from rows scraped off the hours table
+ * @param {Array<{header: string, lines: string[]}>} rows
+ * @param {Date} now - used to pick the year of special-hours dates
+ * @returns {object|null}
+ */
+export const parseDomHours = (rows = [], now = new Date()) => {
+  const weekly = emptyWeek();
+  const special = [];
+  for (const { header, lines } of rows) {
+    const parsed = parseHoursText(lines);
+    const date = parseSpecialDate(header, now);
+    if (date) {
+      if (parsed) special.push({ date, label: header, closed: parsed.closed, intervals: parsed.intervals });
+      continue;
+    }
+    const wd = toWeekday(String(header).split(/[\s,]/)[0]);
+    if (wd && parsed) weekly[wd] = [...(weekly[wd] || []), ...parsed.intervals];
+  }
+  if (!hasAnyDay(weekly) && !special.length) return null;
+  return { weekly, special, source: 'dom' };
+};
+
+/**
+ * extractDomHoursRows - collect header + text lines of every hours-table row (runs in the browser)
+ */
+export const extractDomHoursRows = (page) =>
+  page.evaluate(() => {
+    const text = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+    const rows = [];
+    for (const tr of document.querySelectorAll('table tr')) {
+      const cells = tr.querySelectorAll('th, td');
+      if (cells.length < 2) continue;
+      const header = text(cells[0]);
+      if (!/^(mon|tue|wed|thu|fri|sat|sun)/i.test(header)) continue;
+      const valueCell = cells[1];
+      const items = [...valueCell.querySelectorAll('p, li')].map(text).filter(Boolean);
+      rows.push({ header, lines: items.length ? items : [text(valueCell)] });
+    }
+    return rows;
+  });
+
+/* ------------------------------
+   Open-now evaluation
+   ------------------------------ */
+
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+};
+
+// Local wall-clock time in `timeZone` -> UTC timestamp (two passes handle DST edges)
+const zonedToUtc = (year, month, day, minutes, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  let ts = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(ts), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes, p.seconds);
+    ts = wall - (asUtc - ts);
+  }
+  return ts;
+};
+
+/**
+ * evaluateOpenStatus - is the business open at `now`, and when does it next open
+ * Special hours override the weekly schedule on their date. Overnight ranges from
+ * the previous day are taken into account.
+ *
+ * @param {object|null} hours - output of parseJsonLdHours / parseDomHours
+ * @param {string|null} timeZone - IANA zone of the business
+ * @param {Date} now
+ * @returns {{isOpenNow: boolean|null, nextOpenAt: string|null}} - nextOpenAt is null while open
+ */
+export const evaluateOpenStatus = (hours, timeZone, now = new Date()) => {
+  if (!hours || !timeZone) return { isOpenNow: null, nextOpenAt: null };
+  let local;
+  try {
+    local = zonedParts(now, timeZone);
+  } catch {
+    return { isOpenNow: null, nextOpenAt: null };
+  }
+
+  const specialByDate = new Map((hours.special || []).filter((s) => s.date).map((s) => [s.date, s]));
+  let known = false;
+  let isOpenNow = false;
+  let nextOpen = null;
+
+  // Yesterday (for overnight ranges) through one week ahead
+  for (let offset = -1; offset <= 7; offset++) {
+    const d = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const iso = d.toISOString().slice(0, 10);
+    const weekday = WEEKDAYS[(d.getUTCDay() + 6) % 7];
+    const intervals = specialByDate.has(iso) ? specialByDate.get(iso).intervals : hours.weekly?.[weekday];
+    if (!intervals) continue;
+    known = true;
+
+    for (const { open, close, overnight } of intervals) {
+      const start = offset * 1440 + toMinutes(open);
+      const end = offset * 1440 + toMinutes(close) + (overnight ? 1440 : 0);
+      if (start <= local.minutes && local.minutes < end) isOpenNow = true;
+      if (start > local.minutes && (!nextOpen || start < nextOpen.start)) {
+        nextOpen = { start, year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), minutes: toMinutes(open) };
+      }
+    }
+  }
+
+  if (!known) return { isOpenNow: null, nextOpenAt: null };
+  if (isOpenNow || !nextOpen) return { isOpenNow, nextOpenAt: null };
+  const ts = zonedToUtc(nextOpen.year, nextOpen.month, nextOpen.day, nextOpen.minutes, timeZone);
+  return { isOpenNow, nextOpenAt: new Date(ts).toISOString() };
+};
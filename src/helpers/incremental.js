@@ -0,0 +1,92 @@
+/**
+ * incremental.js
+ * Per-business fingerprints for incremental (delta) runs.
+ *
+ * Fingerprints live in a named key-value store, so they survive between runs.
+ * Each record holds the normalized fingerprint fields, letting us report a
+ * field-level diff and not just "something changed".
+ */
+
+import { createHash } from 'node:crypto';
+import { Actor } from '@apify/actor';
+import { unique } from './misc.js';
+
+// Fields compared between runs. Yelp fields are known before website enrichment,
+// which is what makes skipping unchanged businesses cheap.
+export const YELP_FINGERPRINT_FIELDS = ['rating', 'reviewCount', 'phone', 'website', 'address'];
+export const FINGERPRINT_FIELDS = [...YELP_FINGERPRINT_FIELDS, 'emails'];
+// Fields that come from the business website
+const CONTACT_FIELDS = FINGERPRINT_FIELDS.filter((f) => !YELP_FINGERPRINT_FIELDS.includes(f));
+
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) return unique(value.map((v) => String(v).trim().toLowerCase())).sort();
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ') || null;
+  return value ?? null;
+};
+
+/**
+ * pickFingerprintFields - normalized subset of an item used for comparison
+ * @param {object} item
+ * @param {string[]} fields
+ * @returns {object}
+ */
+export const pickFingerprintFields = (item, fields = FINGERPRINT_FIELDS) =>
+  Object.fromEntries(fields.map((f) => [f, normalizeValue(item[f])]));
+
+/**
+ * diffFields - field-level diff of two normalized field objects
+ * @returns {Object<string, {previous: *, current: *}>} - empty when nothing changed
+ */
+export const diffFields = (previous = {}, current = {}, fields = FINGERPRINT_FIELDS) => {
+  const changes = {};
+  for (const f of fields) {
+    if (JSON.stringify(previous[f] ?? null) !== JSON.stringify(current[f] ?? null)) {
+      changes[f] = { previous: previous[f] ?? null, current: current[f] ?? null };
+    }
+  }
+  return changes;
+};
+
+/**
+ * compareFingerprint - change status of an item against its stored fingerprint record
+ * Without contacts (website enrichment failed, was skipped or left the site), the contact
+ * fields are unknown: they are not compared, and the stored ones are kept (null when none).
+ * A contact field stored as null is not compared either.
+ * @param {object|null} previous - stored record ({ fields }), null for a new business
+ * @param {object} item
+ * @param {object} opts - { contactsKnown }
+ * @returns {{changeStatus: 'new'|'changed'|'unchanged', changes: object|null, fields: object}}
+ *   fields - the fingerprint to store once the item is saved
+ */
+export const compareFingerprint = (previous, item, { contactsKnown = true } = {}) => {
+  const fields = pickFingerprintFields(item, FINGERPRINT_FIELDS);
+  if (!contactsKnown) for (const f of CONTACT_FIELDS) fields[f] = previous?.fields?.[f] ?? null;
+  if (!previous) return { changeStatus: 'new', changes: null, fields };
+  const compared = FINGERPRINT_FIELDS.filter((f) => !CONTACT_FIELDS.includes(f) || (contactsKnown && previous.fields?.[f] != null));
+  const changes = diffFields(previous.fields, fields, compared);
+  return Object.keys(changes).length ? { changeStatus: 'changed', changes, fields } : { changeStatus: 'unchanged', changes: null, fields };
+};
+
+/**
+ * fingerprintKey - key-value store key for a business (aliases may contain characters KV keys do not allow)
+ */
+export const fingerprintKey = (businessKey) => `biz-${createHash('sha1').update(businessKey).digest('hex')}`;
+
+/**
+ * openFingerprintStore - wrap the named store with get/set by business key
+ * @param {string} storeName
+ * @returns {Promise<{get: Function, set: Function}>}
+ */
+export const openFingerprintStore = async (storeName) => {
+  const store = await Actor.openKeyValueStore(storeName);
+  return {
+    get: async (businessKey) => store.getValue(fingerprintKey(businessKey)),
+    set: async (businessKey, fields) =>
+      store.setValue(fingerprintKey(businessKey), {
+        businessKey,
+        fields,
+        hash: createHash('sha1').update(JSON.stringify(fields)).digest('hex'),
+        updatedAt: new Date().toISOString(),
+      }),
+  };
+};
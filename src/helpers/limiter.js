@@ -0,0 +1,84 @@
+/**
+ * limiter.js
+ * Minimal concurrency limiter for work that runs inside request handlers,
+ * plus a per-host throttle for polite crawling of third-party sites.
+ *
+ * Unlike a plain semaphore, a caller that cannot get a slot within `maxWaitMs`
+ * gives up (resolves to null) instead of blocking its handler indefinitely.
+ */
+
+/**
+ * createLimiter
+ * @param {number} maxConcurrency
+ * @returns {(fn: Function, opts?: {maxWaitMs?: number}) => Promise<*>} - resolves to fn's result, or null on wait timeout
+ */
+export const createLimiter = (maxConcurrency = 1) => {
+  let active = 0;
+  const waiting = [];
+
+  // A finishing task hands its slot straight to the next waiter, so nobody can jump the queue
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  return async (fn, { maxWaitMs = Infinity } = {}) => {
+    if (active < maxConcurrency) {
+      active++;
+    } else {
+      const acquired = await new Promise((resolve) => {
+        const entry = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+        const timer = Number.isFinite(maxWaitMs)
+          ? setTimeout(() => {
+              waiting.splice(waiting.indexOf(entry), 1);
+              resolve(false);
+            }, maxWaitMs)
+          : null;
+        waiting.push(entry);
+      });
+      if (!acquired) return null;
+    }
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+};
+
+const bareHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * createHostThrottle - per-domain politeness shared by every caller
+ * Request starts to the same host (www-insensitive) are spaced at least `minDelayMs` apart,
+ * whichever business or handler they come from; different hosts never wait for each other.
+ *
+ * @param {number} minDelayMs
+ * @returns {(url: string) => Promise<void>} - resolves when a request to `url` may start
+ */
+export const createHostThrottle = (minDelayMs = 0) => {
+  const nextStart = new Map(); // host -> earliest start of its next request
+
+  return async (url) => {
+    const host = bareHost(url);
+    if (!host || minDelayMs <= 0) return;
+    const now = Date.now();
+    // forget hosts that have been quiet for a while so the map stays small on long runs
+    if (nextStart.size > 1000) {
+      for (const [h, t] of nextStart) if (t < now) nextStart.delete(h);
+    }
+    const startAt = Math.max(now, nextStart.get(host) ?? 0);
+    nextStart.set(host, startAt + minDelayMs);
+    if (startAt > now) await new Promise((r) => setTimeout(r, startAt - now));
+  };
+};
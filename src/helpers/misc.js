@@ -4,6 +4,8 @@
  */
 
 import { DEFAULTS } from '../config.js';
+import { extractEmailCandidates } from './emails.js';
+import { extractPhoneCandidates } from './phones.js';
 
 /**
  * unique - returns array with unique, non-empty values
@@ -12,21 +14,31 @@ import { DEFAULTS } from '../config.js';
  */
 export const unique = (arr = []) => [...new Set((arr || []).filter(Boolean))];
 
+/**
+ * isFilled - whether an output value counts as filled (fill rates in RUN_SUMMARY and diagnostics)
+ * Empty strings, arrays and objects are not; structured values ({ facebook: null, ... })
+ * are filled when any part is.
+ */
+export const isFilled = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.values(value).some(isFilled);
+  return true;
+};
+
 /**
  * extractContactsFromHtml - extract emails, phones, social links from a raw HTML string
- * NOTE: naive extraction — good for initial enrichment, but will produce false positives sometimes.
+ * Emails and phones are candidates with their source/context; scoring and per-country
+ * validation happen later (see emails.js and phones.js).
  *
  * @param {string} html
- * @returns {{emails: string[], phones: string[], socialLinks: string[]}}
+ * @returns {{emails: object[], phones: object[], socialLinks: string[]}}
  */
-export const extractContactsFromHtml = (html = '') => {
-  const emails = unique([...((html.match(DEFAULTS.EMAIL_REGEX) || []))])
-    // filter some obvious junk addresses (example)
-    .filter(e => !/example\./i.test(e));
-  const phones = unique([...((html.match(DEFAULTS.PHONE_REGEX) || []))]);
-  const socialLinks = unique([...((html.match(DEFAULTS.SOCIAL_REGEX) || []))]);
-  return { emails, phones, socialLinks };
-};
+export const extractContactsFromHtml = (html = '') => ({
+  emails: extractEmailCandidates(html),
+  phones: extractPhoneCandidates(html),
+  socialLinks: unique(html.match(DEFAULTS.SOCIAL_REGEX) || []),
+});
 
 /**
  * normalizeSiteOrigin - given a URL string, return origin (scheme + host) or null
@@ -0,0 +1,85 @@
+/**
+ * page-state.js
+ * Lookups in the JSON state Yelp embeds in its pages (hypernova / application/json scripts).
+ *
+ * The state's layout is not a public contract and changes between page versions, so
+ * values are found by key anywhere in the tree rather than by fixed paths.
+ */
+
+export const PAGE_STATE_SELECTOR = 'script[type="application/json"], script[data-hypernova-key]';
+
+// Upper bound on visited nodes per lookup; detail page state is a few thousand nodes
+const MAX_NODES = 200000;
+
+/**
+ * parsePageState - parse one state script (Yelp wraps some in HTML comments); null if not JSON
+ */
+export const parsePageState = (text) => {
+  try {
+    return JSON.parse(String(text ?? '').trim().replace(/^<!--|-->$/g, ''));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * readPageStates - all parsed state objects of a page
+ * @param {import('playwright').Page} page
+ * @returns {Promise<object[]>}
+ */
+export const readPageStates = async (page) => {
+  try {
+    return (await page.locator(PAGE_STATE_SELECTOR).allTextContents()).map(parsePageState).filter(Boolean);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * findStateNodes - objects in the state trees for which predicate(node) is true, in document order
+ * @param {object[]} states
+ * @param {(node: object) => boolean} predicate
+ * @param {number} limit
+ * @returns {object[]}
+ */
+export const findStateNodes = (states, predicate, limit = Infinity) => {
+  const out = [];
+  const queue = [...states];
+  for (let i = 0; i < queue.length && i < MAX_NODES && out.length < limit; i++) {
+    const node = queue[i];
+    if (!Array.isArray(node) && predicate(node)) out.push(node);
+    for (const value of Object.values(node)) if (value && typeof value === 'object') queue.push(value);
+  }
+  return out;
+};
+
+/**
+ * stateValue - first value stored under one of the keys that passes the test, or null
+ * @param {object[]} states
+ * @param {string[]} keys
+ * @param {(value: *) => boolean} test
+ */
+export const stateValue = (states, keys, test = (v) => v != null && v !== '') => {
+  const [node] = findStateNodes(states, (n) => keys.some((k) => test(n[k])), 1);
+  return node ? keys.map((k) => node[k]).find(test) : null;
+};
+
+/**
+ * findBusinessNode - the state node of the page's own business, or null
+ * Matched by alias, else by name; similar businesses and ads elsewhere in the state
+ * carry the same keys with their own values.
+ * @param {object[]} states
+ * @param {{alias?: string|null, name?: string|null}} business
+ * @returns {object|null}
+ */
+export const findBusinessNode = (states, { alias = null, name = null } = {}) => {
+  const lower = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : null);
+  if (alias) {
+    const [node] = findStateNodes(states, (n) => lower(n.alias) === lower(alias), 1);
+    if (node) return node;
+  }
+  if (!name) return null;
+  // a node with another alias is another business of the same name (a chain's other location)
+  const [node] = findStateNodes(states, (n) => lower(n.name) === lower(name) && (n.alias == null || !alias), 1);
+  return node ?? null;
+};
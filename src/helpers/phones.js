@@ -0,0 +1,130 @@
+/**
+ * phones.js
+ * Phone extraction, validation and classification.
+ *
+ * Pipeline: HTML -> visible text + tel: links -> plausibility filter (drops dates,
+ * ZIP+4 codes, prices, long tracking IDs) -> libphonenumber parse against the
+ * business/proxy country -> E.164 + national form -> dedupe -> flags.
+ */
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+const CONTEXT_CHARS = 40;
+
+// Shapes that look like phone numbers to a permissive regex but are not
+const NOT_A_PHONE = [
+  /^\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}$/, // dates 2024-01-15, 01/15/2024
+  /^\d{5}-\d{4}$/, // ZIP+4
+  /^\d+\.\d{2}$/, // prices / decimals 1234567.00
+  /^\d{13,}$/, // bare long digit runs: tracking / order IDs
+  /^(\d{1,3}\.){2,}\d{1,3}$/, // versions / IP-like 1.2.3.4
+];
+
+/**
+ * htmlToText - visible text of an HTML document (scripts, styles and tags removed)
+ */
+export const htmlToText = (html = '') =>
+  html
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ');
+
+/**
+ * isPlausiblePhone - cheap, country-independent rejection of obvious non-phones
+ * @param {string} raw
+ * @param {string} before - text right before the match (currency signs, "order #", ...)
+ */
+export const isPlausiblePhone = (raw, before = '') => {
+  const s = raw.trim();
+  const digits = s.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+  if (NOT_A_PHONE.some((re) => re.test(s))) return false;
+  if (/[$€£¥]\s*$/.test(before)) return false;
+  if (/\b(order|invoice|id|ref|sku|item)\s*[:#]?\s*$|#\s*$/i.test(before)) return false;
+  if (/^(\d)\1+$/.test(digits)) return false; // 0000000, 1111111111
+  return true;
+};
+
+/**
+ * extractPhoneCandidates - plausible phone strings with the text that precedes them
+ * `tel:` links are always kept; their link text serves as context.
+ *
+ * @param {string} html
+ * @returns {Array<{raw: string, context: string, fromTelLink: boolean}>}
+ */
+export const extractPhoneCandidates = (html = '') => {
+  const out = [];
+  for (const m of html.matchAll(/<a[^>]+href=["']tel:([^"']+)["'][^>]*>([\s\S]{0,200}?)<\/a>/gi)) {
+    let raw = m[1];
+    try {
+      raw = decodeURIComponent(raw);
+    } catch {}
+    out.push({ raw: raw.trim(), context: htmlToText(m[2]).trim(), fromTelLink: true });
+  }
+
+  const text = htmlToText(html);
+  for (const m of text.matchAll(/(?:\+?\d{1,3}[ .-]?)?(?:\(?\d{2,4}\)?[ .-]?)?\d{3,4}[ .-]?\d{3,4}/g)) {
+    const before = text.slice(Math.max(0, m.index - CONTEXT_CHARS), m.index);
+    if (!isPlausiblePhone(m[0], before)) continue;
+    out.push({ raw: m[0].trim(), context: before.trim(), fromTelLink: false });
+  }
+  return out;
+};
+
+/**
+ * parsePhone - validate and normalize a phone number
+ * @param {string} raw
+ * @param {string} defaultCountry - ISO 3166-1 alpha-2, used for numbers without +country prefix
+ * @returns {{e164: string, national: string, countryCode: string|null, type: string|null}|null}
+ */
+export const parsePhone = (raw, defaultCountry) => {
+  if (!raw) return null;
+  try {
+    const parsed = parsePhoneNumberFromString(String(raw), defaultCountry?.toUpperCase());
+    if (!parsed || !parsed.isValid()) return null;
+    return {
+      e164: parsed.number,
+      national: parsed.formatNational(),
+      countryCode: parsed.country ?? null,
+      type: parsed.getType() ?? null,
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * classifyWebsitePhones - validate, normalize, dedupe and flag website phone candidates
+ *
+ * @param {Array<{raw: string, context: string, fromTelLink?: boolean, sourceUrl?: string}>} candidates
+ * @param {object} opts - { country, yelpPhoneE164 }
+ * @returns {Array<{number: string, national: string, raw: string, matchesYelpPhone: boolean,
+ *   tollFree: boolean, likelyFax: boolean, sourceUrl: string|null}>}
+ */
+export const classifyWebsitePhones = (candidates = [], { country, yelpPhoneE164 = null } = {}) => {
+  const byNumber = new Map();
+  for (const c of candidates) {
+    const parsed = parsePhone(c.raw, country);
+    if (!parsed) continue;
+    // "Fax:" labels the number right after it; a fax word further back belongs to another number
+    const likelyFax = /\bfax\b[^\d]{0,15}$/i.test(c.context);
+    const existing = byNumber.get(parsed.e164);
+    if (existing) {
+      // A number is only a fax if every occurrence says so
+      existing.likelyFax = existing.likelyFax && likelyFax;
+      continue;
+    }
+    byNumber.set(parsed.e164, {
+      number: parsed.e164,
+      national: parsed.national,
+      raw: c.raw,
+      matchesYelpPhone: parsed.e164 === yelpPhoneE164,
+      tollFree: parsed.type === 'TOLL_FREE',
+      likelyFax,
+      sourceUrl: c.sourceUrl ?? null,
+    });
+  }
+  return [...byNumber.values()];
+};
@@ -0,0 +1,178 @@
+/**
+ * queries.js
+ * Expands the actor input into the list of Yelp search queries to seed.
+ *
+ * A query is { id, keyword, location, url }. Keyword/location lists are crossed
+ * (every keyword in every location); raw search URLs are added as-is.
+ *
+ * Yelp's own search filters (sort, price, open now, radius, category, attributes) come
+ * from typed inputs and are applied to every query URL, merged with whatever filters
+ * a user-supplied search URL already carries. Invalid values and conflicting
+ * combinations throw, with a message that names the input.
+ */
+
+import { unique } from './misc.js';
+import { isYelpHost } from './yelp-identity.js';
+
+// Input value -> Yelp `sortby` parameter
+export const SEARCH_SORTS = { recommended: 'recommended', highestRated: 'rating', mostReviewed: 'review_count' };
+
+// Input value -> Yelp `attrs` feature key
+export const SEARCH_ATTRIBUTES = {
+  offersDelivery: 'RestaurantsDelivery',
+  offersTakeout: 'RestaurantsTakeOut',
+  acceptsCreditCards: 'BusinessAcceptsCreditCards',
+  takesReservations: 'RestaurantsReservations',
+  wheelchairAccessible: 'WheelchairAccessible',
+  goodForKids: 'GoodForKids',
+  outdoorSeating: 'OutdoorSeating',
+  freeWifi: 'WiFi.free',
+  dogsAllowed: 'DogsAllowed',
+};
+
+const PRICE_ATTR = 'RestaurantsPriceRange2';
+const MAX_RADIUS_METERS = 40000;
+
+/**
+ * searchFilters - validated Yelp search filters from the actor input (null when none are set)
+ * @param {object} input - { searchSortBy, searchPriceTiers, searchOpenNow, searchRadiusMeters, searchCategory, searchAttributes }
+ * @returns {{sortby?: string, attrs: string[], openNow: boolean, radius?: number, cflt?: string}|null}
+ */
+export const searchFilters = (input = {}) => {
+  const filters = { attrs: [], openNow: Boolean(input.searchOpenNow) };
+
+  if (input.searchSortBy) {
+    filters.sortby = SEARCH_SORTS[input.searchSortBy];
+    if (!filters.sortby) {
+      throw new Error(`searchSortBy must be one of ${Object.keys(SEARCH_SORTS).join(', ')} (got "${input.searchSortBy}")`);
+    }
+  }
+
+  for (const tier of unique((input.searchPriceTiers || []).map(String))) {
+    // "$$" and "2" both mean tier 2
+    const n = /^\$+$/.test(tier) ? tier.length : Number(tier);
+    if (![1, 2, 3, 4].includes(n)) throw new Error(`searchPriceTiers accepts 1-4 or $-$$$$ (got "${tier}")`);
+    if (!filters.attrs.includes(`${PRICE_ATTR}.${n}`)) filters.attrs.push(`${PRICE_ATTR}.${n}`);
+  }
+
+  for (const attr of unique(input.searchAttributes || [])) {
+    if (!SEARCH_ATTRIBUTES[attr]) {
+      throw new Error(`Unknown searchAttributes value "${attr}", use one of ${Object.keys(SEARCH_ATTRIBUTES).join(', ')}`);
+    }
+    filters.attrs.push(SEARCH_ATTRIBUTES[attr]);
+  }
+
+  if (input.searchRadiusMeters != null && input.searchRadiusMeters !== '') {
+    const radius = Number(input.searchRadiusMeters);
+    if (!Number.isInteger(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+      throw new Error(`searchRadiusMeters must be a whole number between 1 and ${MAX_RADIUS_METERS} (got "${input.searchRadiusMeters}")`);
+    }
+    filters.radius = radius;
+  }
+
+  if (input.searchCategory) {
+    const cflt = String(input.searchCategory).trim().toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(cflt)) {
+      throw new Error(`searchCategory must be a Yelp category alias like "plumbing" or "homeservices" (got "${input.searchCategory}")`);
+    }
+    filters.cflt = cflt;
+  }
+
+  const active = filters.sortby || filters.attrs.length || filters.openNow || filters.radius || filters.cflt;
+  return active ? filters : null;
+};
+
+const setSingle = (params, name, value, input) => {
+  const existing = params.get(name);
+  if (existing && existing !== String(value)) {
+    throw new Error(`${input} (${name}=${value}) conflicts with ${name}=${existing} in the search URL`);
+  }
+  params.set(name, String(value));
+};
+
+/**
+ * applySearchFilters - add filters to a Yelp search URL, merging with the filters it already has
+ * Multi-valued `attrs` are merged; single-valued parameters must agree with the URL.
+ * @param {string} url
+ * @param {object|null} filters - searchFilters()
+ * @returns {string}
+ */
+export const applySearchFilters = (url, filters) => {
+  if (!filters) return url;
+  const u = new URL(url);
+  const params = u.searchParams;
+
+  if (filters.sortby) setSingle(params, 'sortby', filters.sortby, 'searchSortBy');
+  if (filters.cflt) setSingle(params, 'cflt', filters.cflt, 'searchCategory');
+  if (filters.openNow) params.set('open_now', 'true');
+  if (filters.radius) {
+    // a map area (l=g:...) or neighborhood (l=p:...) already bounds the search
+    if (params.get('l')) throw new Error(`searchRadiusMeters cannot be combined with the map area l=${params.get('l')} in the search URL`);
+    setSingle(params, 'radius', filters.radius, 'searchRadiusMeters');
+  }
+
+  if (filters.attrs.length) {
+    const attrs = unique([...(params.get('attrs') || '').split(','), ...filters.attrs]);
+    params.set('attrs', attrs.join(','));
+  }
+  return u.toString();
+};
+
+/**
+ * buildYelpSearchUrl - build a Yelp search URL from keyword + location
+ * @param {string} keyword
+ * @param {string} location
+ * @param {object|null} filters - searchFilters()
+ * @returns {string}
+ */
+export const buildYelpSearchUrl = (keyword, location, filters = null) => {
+  const params = new URLSearchParams({ find_desc: keyword || '', find_loc: location || '' });
+  return applySearchFilters(`https://www.yelp.com/search?${params.toString()}`, filters);
+};
+
+const toList = (value) => unique((Array.isArray(value) ? value : [value]).map((v) => (typeof v === 'string' ? v.trim() : v)));
+
+/**
+ * buildSearchQueries - cross keywords × locations and append raw search URLs
+ *
+ * The list inputs (`searches`, `locations`) take precedence over the single-value
+ * `search`/`location`; search URLs from `yelpSearchUrl` and `yelpSearchUrls` are merged.
+ * As before, any search URL overrides keywords.
+ *
+ * @param {object} input - actor input
+ * @returns {Array<{id: string, keyword: string|null, location: string|null, url: string}>}
+ */
+export const buildSearchQueries = (input = {}) => {
+  const urls = toList([input.yelpSearchUrl, ...(input.yelpSearchUrls || [])]);
+  const filters = searchFilters(input);
+  const queries = [];
+
+  if (urls.length) {
+    for (const url of urls) {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        throw new Error(`Invalid Yelp search URL: ${url}`);
+      }
+      if (!isYelpHost(u.hostname)) throw new Error(`Not a Yelp search URL: ${url}`);
+      const keyword = u.searchParams.get('find_desc') || null;
+      const location = u.searchParams.get('find_loc') || null;
+      queries.push({ keyword, location, url: applySearchFilters(url, filters) });
+    }
+  } else {
+    const keywords = toList(input.searches || []).length ? toList(input.searches) : toList(input.search);
+    const locations = toList(input.locations || []).length ? toList(input.locations) : toList(input.location);
+    for (const keyword of keywords.length ? keywords : ['']) {
+      for (const location of locations.length ? locations : ['']) {
+        queries.push({ keyword: keyword || null, location: location || null, url: buildYelpSearchUrl(keyword, location, filters) });
+      }
+    }
+  }
+
+  // Identical URLs (e.g. the same keyword listed twice) collapse into one query
+  const seen = new Set();
+  return queries
+    .filter((q) => (seen.has(q.url) ? false : seen.add(q.url)))
+    .map((q, i) => ({ id: `q${i + 1}`, ...q }));
+};
@@ -0,0 +1,67 @@
+/**
+ * result-limit.js
+ * Exact `maxResults` enforcement per search query.
+ *
+ * Every query keeps a progress record in persisted actor state:
+ *   saved              - businesses pushed to the dataset for this query
+ *   pending            - DETAIL requests enqueued but not finished yet (reserved slots)
+ *   backlog            - DETAIL requests found while the budget was fully reserved
+ *   heldSearchRequests - SEARCH pages held back while the budget was fully reserved
+ *                        (one per search area when the query is tiled, see tiles.js)
+ *
+ * A DETAIL request is only enqueued after reserving a slot, so saved + pending never
+ * exceeds the limit. When a DETAIL finishes without saving (duplicate, skipped, failed)
+ * its slot is freed and the backlog / held-back search page refill it.
+ *
+ * All functions are synchronous on purpose: reservation and release cannot interleave
+ * with other handlers, which keeps the counts exact with maxConcurrency > 1.
+ */
+
+/**
+ * queryProgress - get (or create) the progress record of a query
+ * @param {object} state - persisted state object, queryId -> progress
+ * @param {string} queryId
+ */
+export const queryProgress = (state, queryId) => {
+  state[queryId] ??= { saved: 0, pending: 0, backlog: [], heldSearchRequests: [] };
+  return state[queryId];
+};
+
+/**
+ * isQueryDone - true once the query saved its full quota
+ */
+export const isQueryDone = (progress, maxResults) => progress.saved >= maxResults;
+
+/**
+ * reserveSlot - reserve room for one more DETAIL request
+ * @returns {boolean} - false when saved + pending already reached the limit
+ */
+export const reserveSlot = (progress, maxResults) => {
+  if (progress.saved + progress.pending >= maxResults) return false;
+  progress.pending++;
+  return true;
+};
+
+/**
+ * releaseSlot - a DETAIL request finished; count it if it was saved
+ */
+export const releaseSlot = (progress, saved) => {
+  progress.pending = Math.max(0, progress.pending - 1);
+  if (saved) progress.saved++;
+};
+
+/**
+ * takeRefills - requests to enqueue now that slots may have been freed
+ * Backlogged DETAIL requests come first; a held-back search page is released
+ * only when the backlog cannot fill the remaining budget.
+ *
+ * @returns {object[]} - request objects ready for crawler.addRequests()
+ */
+export const takeRefills = (progress, maxResults) => {
+  const out = [];
+  while (progress.backlog.length && reserveSlot(progress, maxResults)) out.push(progress.backlog.shift());
+  if (!progress.backlog.length && progress.heldSearchRequests.length && progress.saved + progress.pending < maxResults) {
+    out.push(progress.heldSearchRequests.shift());
+  }
+  return out;
+};
@@ -0,0 +1,189 @@
+/**
+ * run-summary.js
+ * Run statistics and the RUN_SUMMARY record written to the default key-value store.
+ *
+ * Counters live in persisted actor state (see main.js), so a migrated run reports
+ * the whole run, not just its last part:
+ *   startedAt  - ISO time the run first started
+ *   stages     - label -> { handled, errors, failed, totalMs } (errors = failed attempts, incl. retried ones)
+ *   counters   - free-form event counts, e.g. 'search.businessesFound', 'detail.duplicate'
+ *   items      - businesses saved
+ *   fields     - output field -> number of saved items where it is filled
+ *   failures   - error type -> { count, byLabel, examples }
+ */
+
+import { isFilled } from './misc.js';
+
+const MAX_FAILURE_EXAMPLES = 5;
+
+/**
+ * initRunStats - fill in a (possibly restored) stats state object
+ */
+export const initRunStats = (stats) => {
+  stats.startedAt ??= new Date().toISOString();
+  stats.stages ??= {};
+  stats.counters ??= {};
+  stats.items ??= 0;
+  stats.fields ??= {};
+  stats.failures ??= {};
+  return stats;
+};
+
+/**
+ * bump - increment an event counter
+ */
+export const bump = (stats, key, n = 1) => {
+  stats.counters[key] = (stats.counters[key] ?? 0) + n;
+};
+
+const stageOf = (stats, label) => {
+  stats.stages[label] ??= { handled: 0, errors: 0, failed: 0, totalMs: 0 };
+  return stats.stages[label];
+};
+
+/**
+ * withStageStats - wrap a request handler to count attempts and time spent per label
+ * @param {object} stats
+ * @param {Function} handler - crawler requestHandler
+ * @returns {Function}
+ */
+export const withStageStats = (stats, handler) => async (ctx) => {
+  const stage = stageOf(stats, ctx.request.userData?.label || 'SEARCH');
+  const startedAt = Date.now();
+  try {
+    await handler(ctx);
+    stage.handled++;
+  } catch (err) {
+    stage.errors++;
+    throw err;
+  } finally {
+    stage.totalMs += Date.now() - startedAt;
+  }
+};
+
+/**
+ * countFields - update fill counts with a saved item
+ */
+export const countFields = (stats, item) => {
+  stats.items++;
+  for (const [key, value] of Object.entries(item)) {
+    stats.fields[key] ??= 0;
+    if (isFilled(value)) stats.fields[key]++;
+  }
+};
+
+/**
+ * classifyError - coarse failure type used to group errors in the summary
+ * @param {Error|undefined} error
+ * @returns {string}
+ */
+export const classifyError = (error) => {
+  const msg = String(error?.message ?? '');
+  if (/^Blocked by Yelp/.test(msg)) return 'blocked';
+  if (/timed? ?out|timeout/i.test(msg)) return 'timeout';
+  if (/proxy|tunnel|ECONNRESET|ECONNREFUSED|EPIPE|socket hang up/i.test(msg)) return 'network';
+  if (/net::ERR_|navigation|page\.goto|Target (page|closed)|has been closed/i.test(msg)) return 'navigation';
+  if (/status code \d{3}|\b[45]\d{2}\b/.test(msg)) return 'http-status';
+  return 'other';
+};
+
+/**
+ * recordFailure - count a request that exhausted its retries
+ * @returns {string} the error type
+ */
+export const recordFailure = (stats, request, error) => {
+  const label = request.userData?.label || 'SEARCH';
+  const type = classifyError(error);
+  stageOf(stats, label).failed++;
+  const group = (stats.failures[type] ??= { count: 0, byLabel: {}, examples: [] });
+  group.count++;
+  group.byLabel[label] = (group.byLabel[label] ?? 0) + 1;
+  if (group.examples.length < MAX_FAILURE_EXAMPLES) group.examples.push({ url: request.url, error: error?.message ?? null });
+  return type;
+};
+
+/**
+ * failedRequestRecord - row of the failed-requests dataset
+ */
+export const failedRequestRecord = (request, error) => ({
+  url: request.url,
+  label: request.userData?.label || 'SEARCH',
+  error: error?.message ?? null,
+  errorType: classifyError(error),
+  retryCount: request.retryCount,
+  errorMessages: request.errorMessages ?? [],
+  queryId: request.userData?.query?.id ?? null,
+  // key of the debug bundle in the default key-value store (helpers/debug-bundle.js)
+  debugBundleKey: request.userData?.debugBundleKey ?? null,
+  failedAt: new Date().toISOString(),
+});
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * buildRunSummary - the RUN_SUMMARY record
+ * @param {object} stats - run stats (initRunStats)
+ * @param {object} extra - { blockStats, queries, queryState, tiles, webhook } other persisted state to report
+ */
+export const buildRunSummary = (stats, { blockStats = null, queries = [], queryState = {}, tiles = null, webhook = null } = {}) => {
+  const finishedAt = new Date();
+  const c = stats.counters;
+  const enriched = c['enrichment.attempted'] ?? 0;
+
+  return {
+    startedAt: stats.startedAt,
+    finishedAt: finishedAt.toISOString(),
+    durationSecs: Math.round((finishedAt - new Date(stats.startedAt)) / 1000),
+    stages: Object.fromEntries(
+      Object.entries(stats.stages).map(([label, s]) => [
+        label,
+        { ...s, avgMs: s.handled + s.errors ? Math.round(s.totalMs / (s.handled + s.errors)) : null },
+      ])
+    ),
+    search: {
+      pages: stats.stages.SEARCH?.handled ?? 0,
+      paginated: c['search.nextPage'] ?? 0,
+      businessesFound: c['search.businessesFound'] ?? 0,
+    },
+    businesses: {
+      saved: stats.items,
+      duplicates: c['detail.duplicate'] ?? 0,
+      skippedUnchanged: c['detail.unchanged'] ?? 0,
+      withWebsite: c['detail.withWebsite'] ?? 0,
+      websiteRate: rate(c['detail.withWebsite'] ?? 0, (c['detail.withWebsite'] ?? 0) + (c['detail.withoutWebsite'] ?? 0)),
+    },
+    // businesses rejected per filter (helpers/filters.js); they did not count toward maxResults
+    filters: Object.fromEntries(
+      Object.entries(c)
+        .filter(([key]) => key.startsWith('filter.'))
+        .map(([key, n]) => [key.slice('filter.'.length), n])
+    ),
+    enrichment: {
+      attempted: enriched,
+      failed: c['enrichment.failed'] ?? 0,
+      emailHitRate: rate(c['enrichment.withEmail'] ?? 0, enriched),
+      phoneHitRate: rate(c['enrichment.withPhone'] ?? 0, enriched),
+      socialHitRate: rate(c['enrichment.withSocial'] ?? 0, enriched),
+      anyContactHitRate: rate(c['enrichment.withAnyContact'] ?? 0, enriched),
+      browserRendered: c['enrichment.viaBrowser'] ?? 0,
+      avgPagesVisited: enriched ? Math.round(((c['enrichment.pagesVisited'] ?? 0) / enriched) * 10) / 10 : null,
+    },
+    fieldFillRates: Object.fromEntries(
+      Object.entries(stats.fields).map(([field, filled]) => [field, { filled, rate: rate(filled, stats.items) }])
+    ),
+    queries: queries.map(({ id, keyword, location, url }) => ({
+      id,
+      keyword: keyword ?? null,
+      location: location ?? null,
+      url,
+      saved: queryState[id]?.saved ?? 0,
+    })),
+    // tiling mode only (helpers/tiles.js summarizeTiles)
+    tiles,
+    // webhookUrl only: batches and items delivered, retries, dead-lettered batches (helpers/webhook-sink.js)
+    webhook,
+    blocks: blockStats,
+    failures: stats.failures,
+    counters: stats.counters,
+  };
+};
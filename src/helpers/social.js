@@ -0,0 +1,139 @@
+/**
+ * social.js
+ * Social profile normalization: raw social links (from business websites and the Yelp page)
+ * become at most one canonical profile URL per platform.
+ *
+ * Links that are not a profile are dropped: share buttons (facebook.com/sharer), tweet intents,
+ * embeds and widgets, posts and videos, and the accounts of website builders and of Yelp
+ * itself, which show up in footers and embedded widgets.
+ *
+ *   social: { facebook, instagram, x, linkedin, youtube, tiktok } - URL or null each
+ *
+ * Exported functions:
+ *   parseSocialProfile(url)
+ *   selectSocialProfiles(candidates, { businessName })
+ */
+
+export const SOCIAL_PLATFORMS = ['facebook', 'instagram', 'x', 'linkedin', 'youtube', 'tiktok'];
+
+// Platform, builder and directory accounts that are never the business's own profile
+const NOT_BUSINESS_HANDLES = new Set([
+  'facebook', 'instagram', 'twitter', 'x', 'linkedin', 'youtube', 'tiktok', 'meta', 'google',
+  'yelp', 'yelpinc', 'yelpforbusiness', 'wix', 'squarespace', 'godaddy', 'weebly', 'shopify',
+  'wordpress', 'wordpressdotcom', 'jimdo', 'webflow', 'duda', 'hibu', 'yext', 'thryv', 'elementor',
+]);
+
+// First path segments that are features, not accounts
+const RESERVED_PATHS = {
+  facebook: /^(sharer(\.php)?|share(\.php)?|dialog|plugins|tr|login(\.php)?|help|policies|privacy|legal|hashtag|watch|photo(\.php)?|photos|story\.php|permalink\.php|l\.php|groups|events|marketplace|gaming|search|home\.php|v\d+(\.\d+)?|business|ads)$/i,
+  instagram: /^(p|reel|reels|tv|explore|stories|accounts|embed(\.js)?|about|developer|legal)$/i,
+  x: /^(intent|share|home|search|hashtag|i|widgets(\.js)?|login|signup|privacy|tos|settings|explore|messages)$/i,
+  tiktok: /^(embed|video|tag|music|discover|foryou|legal|about|login)$/i,
+};
+
+const HOSTS = [
+  ['facebook', /^(?:[a-z]{2,3}-[a-z]{2}\.|www\.|m\.|web\.|business\.)?(?:facebook|fb)\.com$/],
+  ['instagram', /^(?:www\.|m\.)?instagram\.com$/],
+  ['x', /^(?:www\.|mobile\.)?(?:twitter|x)\.com$/],
+  ['linkedin', /^(?:[a-z]{2,3}\.|www\.)?linkedin\.com$/],
+  ['youtube', /^(?:www\.|m\.)?youtube\.com$/],
+  ['tiktok', /^(?:www\.|m\.)?tiktok\.com$/],
+];
+
+const profile = (platform, handle, url) =>
+  handle && NOT_BUSINESS_HANDLES.has(handle.toLowerCase().replace(/^@/, '')) ? null : { platform, handle, url };
+
+/**
+ * parseSocialProfile - canonical profile of a social link, or null when it is not a business profile
+ * @param {string} url
+ * @returns {{platform: string, handle: string|null, url: string}|null}
+ */
+export const parseSocialProfile = (url) => {
+  let u;
+  try {
+    u = new URL(String(url).replace(/&amp;/g, '&'));
+  } catch {
+    return null;
+  }
+  const host = u.hostname.toLowerCase();
+  const platform = HOSTS.find(([, re]) => re.test(host))?.[0];
+  if (!platform) return null;
+  let segments;
+  try {
+    segments = u.pathname.split('/').filter(Boolean).map((s) => decodeURIComponent(s));
+  } catch {
+    return null;
+  }
+  const [first = '', second = ''] = segments;
+  if (RESERVED_PATHS[platform]?.test(first)) return null;
+
+  switch (platform) {
+    case 'facebook': {
+      const id = u.searchParams.get('id');
+      if (/^profile\.php$/i.test(first)) return /^\d+$/.test(id ?? '') ? profile(platform, null, `https://www.facebook.com/profile.php?id=${id}`) : null;
+      // old-style page URLs: /pages/<name>/<id>, /pages/category/<category>/<name>-<id>, /pg/<handle>/about
+      if (/^pages$/i.test(first) && /^category$/i.test(second)) {
+        const [, name, id] = segments[3]?.match(/^(.+)-(\d+)$/) ?? [];
+        if (id) return profile(platform, null, `https://www.facebook.com/pages/${name}/${id}`);
+        return /^[a-z0-9.-]{2,}$/i.test(segments[3] ?? '') ? profile(platform, segments[3], `https://www.facebook.com/${segments[3]}`) : null;
+      }
+      if (/^pages$/i.test(first)) return segments.length >= 3 ? profile(platform, null, `https://www.facebook.com/pages/${segments[1]}/${segments[2]}`) : null;
+      const handle = /^pg$/i.test(first) ? second : first;
+      return /^[a-z0-9.-]{2,}$/i.test(handle) ? profile(platform, handle, `https://www.facebook.com/${handle}`) : null;
+    }
+    case 'instagram':
+      return /^[a-z0-9._]{1,30}$/i.test(first) ? profile(platform, first, `https://www.instagram.com/${first}`) : null;
+    case 'x':
+      return /^[a-z0-9_]{1,15}$/i.test(first) ? profile(platform, first, `https://x.com/${first}`) : null;
+    case 'linkedin':
+      // company pages only; personal profiles and share links are not the business
+      return /^company$/i.test(first) && second ? profile(platform, second, `https://www.linkedin.com/company/${second}`) : null;
+    case 'youtube':
+      if (/^@[\w.-]+$/.test(first)) return profile(platform, first.slice(1), `https://www.youtube.com/${first}`);
+      if (/^(channel|c|user)$/i.test(first) && second) return profile(platform, second, `https://www.youtube.com/${first.toLowerCase()}/${second}`);
+      return null;
+    case 'tiktok':
+      return /^@[\w.]+$/.test(first) ? profile(platform, first.slice(1), `https://www.tiktok.com/${first}`) : null;
+    default:
+      return null;
+  }
+};
+
+const NAME_STOPWORDS = new Set(['the', 'and', 'inc', 'llc', 'ltd', 'co', 'company', 'corp', 'services', 'service', 'of']);
+const compact = (s) => String(s ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// 2: handle and business name contain each other, 1: handle contains a distinctive name word, 0: neither
+const nameMatch = (handle, businessName) => {
+  const h = compact(handle);
+  const name = compact(businessName);
+  if (!h || !name) return 0;
+  if (name.includes(h) || h.includes(name)) return 2;
+  const words = String(businessName).toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length >= 4 && !NAME_STOPWORDS.has(w));
+  return words.some((w) => h.includes(w)) ? 1 : 0;
+};
+
+// lexicographic comparison of rank tuples
+const outranks = (a, b) => {
+  const i = a.findIndex((v, j) => v !== b[j]);
+  return i >= 0 && a[i] > b[i];
+};
+
+/**
+ * selectSocialProfiles - one profile per platform
+ * Candidates whose handle matches the business name win; then Yelp-listed links
+ * (source 'yelp'); then the order they were found in (homepage first).
+ * @param {Array<{url: string, source?: string}>} candidates
+ * @param {object} opts - { businessName }
+ * @returns {Object<string, string|null>}
+ */
+export const selectSocialProfiles = (candidates = [], { businessName = null } = {}) => {
+  const best = {};
+  candidates.forEach((candidate, index) => {
+    const parsed = parseSocialProfile(candidate.url);
+    if (!parsed) return;
+    const rank = [nameMatch(parsed.handle, businessName), candidate.source === 'yelp' ? 1 : 0, -index];
+    const current = best[parsed.platform];
+    if (!current || outranks(rank, current.rank)) best[parsed.platform] = { url: parsed.url, rank };
+  });
+  return Object.fromEntries(SOCIAL_PLATFORMS.map((p) => [p, best[p]?.url ?? null]));
+};
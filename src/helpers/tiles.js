@@ -0,0 +1,184 @@
+/**
+ * tiles.js
+ * Geographic tiling: searches a query's location as several smaller areas, to list more
+ * businesses than Yelp's per-search cap allows (it stops paginating after
+ * DEFAULTS.YELP_MAX_SEARCH_PAGES pages).
+ *
+ * Tiling modes (input `tilingMode`):
+ *   locations    - every search is run once per entry of `tileLocations` (ZIP codes,
+ *                  neighborhoods) instead of in its own location, so keyword × location
+ *                  queries collapse into one query per keyword; these areas cannot be split further
+ *   boundingBox  - `boundingBox` is divided into tileGrid × tileGrid map tiles; a tile whose
+ *                  search hits the cap is split into 4 again, up to `maxTileDepth` times
+ *
+ * The tiles of a query share its maxResults budget and its dedupe, so a business listed
+ * by two overlapping tiles is one business of the query. Tiles are kept in persisted state:
+ *   tileId -> { id, queryId, kind, location, box, depth, parentId, url, status, pageCount }
+ *   status: pending | searched | subdivided | saturated (hit the cap and cannot be split)
+ *
+ * Exported functions:
+ *   parseBoundingBox(value)
+ *   planTiles(input, queries)
+ *   tileRequest(tile, query)
+ *   isSaturated(pageCount)
+ *   subdivideTile(state, tile, maxDepth)
+ *   summarizeTiles(state)
+ */
+
+import { DEFAULTS } from '../config.js';
+
+export const TILING_MODES = ['off', 'locations', 'boundingBox'];
+
+const MAX_GRID = 10;
+const MAX_DEPTH = 6;
+
+/**
+ * parseBoundingBox - { north, south, east, west } in degrees, from an object or a
+ * "south,west,north,east" string
+ */
+export const parseBoundingBox = (value) => {
+  let box = value;
+  if (typeof value === 'string') {
+    const [south, west, north, east] = value.split(',').map((v) => Number(v.trim()));
+    box = { south, west, north, east };
+  }
+  const { north, south, east, west } = box || {};
+  const valid = [north, south, east, west].every((v) => typeof v === 'number' && Number.isFinite(v))
+    && Math.abs(north) <= 90 && Math.abs(south) <= 90 && Math.abs(east) <= 180 && Math.abs(west) <= 180;
+  if (!valid || south >= north || west >= east) {
+    throw new Error('boundingBox must be { "north", "south", "east", "west" } in degrees with south < north and west < east');
+  }
+  return { north, south, east, west };
+};
+
+const splitBox = ({ north, south, east, west }, n) => {
+  const boxes = [];
+  const dLat = (north - south) / n;
+  const dLng = (east - west) / n;
+  for (let row = 0; row < n; row++) {
+    for (let col = 0; col < n; col++) {
+      boxes.push({
+        south: south + row * dLat,
+        north: row === n - 1 ? north : south + (row + 1) * dLat,
+        west: west + col * dLng,
+        east: col === n - 1 ? east : west + (col + 1) * dLng,
+      });
+    }
+  }
+  return boxes;
+};
+
+const round = (v) => Math.round(v * 1e6) / 1e6;
+
+// Yelp's map-area parameter: l=g:<east>,<north>,<west>,<south>
+const tileUrl = (baseUrl, tile) => {
+  const u = new URL(baseUrl);
+  if (tile.kind === 'location') u.searchParams.set('find_loc', tile.location);
+  else u.searchParams.set('l', `g:${[tile.box.east, tile.box.north, tile.box.west, tile.box.south].map(round).join(',')}`);
+  return u.toString();
+};
+
+const newTile = (fields) => ({ location: null, box: null, depth: 0, parentId: null, status: 'pending', pageCount: null, ...fields });
+
+/**
+ * planTiles - the queries to run and their initial tiles, or null when tiling is off
+ * @param {object} input - { tilingMode, tileLocations, boundingBox, tileGrid, maxTileDepth }
+ * @param {Array} queries - buildSearchQueries()
+ * @returns {{queries: object[], tiles: object[], maxDepth: number}|null}
+ */
+export const planTiles = (input, queries) => {
+  const mode = input.tilingMode || 'off';
+  if (!TILING_MODES.includes(mode)) throw new Error(`tilingMode must be one of ${TILING_MODES.join(', ')} (got "${mode}")`);
+  if (mode === 'off') return null;
+
+  const tiles = [];
+  if (mode === 'locations') {
+    const locations = [...new Set((input.tileLocations || []).map((l) => String(l).trim()).filter(Boolean))];
+    if (!locations.length) throw new Error('tilingMode "locations" needs at least one entry in tileLocations');
+    // The tiles replace the query's location, so queries that differ only in it are one search
+    const searches = new Map();
+    for (const query of queries) {
+      const u = new URL(query.url);
+      u.searchParams.delete('find_loc');
+      if (!searches.has(u.toString())) searches.set(u.toString(), { ...query, id: `q${searches.size + 1}`, location: null });
+    }
+    for (const query of searches.values()) {
+      locations.forEach((location, i) => {
+        const tile = newTile({ id: `${query.id}-t${i + 1}`, queryId: query.id, kind: 'location', location });
+        tiles.push({ ...tile, url: tileUrl(query.url, tile) });
+      });
+    }
+    return { queries: [...searches.values()], tiles, maxDepth: 0 };
+  }
+
+  const box = parseBoundingBox(input.boundingBox);
+  const grid = input.tileGrid ?? 2;
+  if (!Number.isInteger(grid) || grid < 1 || grid > MAX_GRID) throw new Error(`tileGrid must be a whole number from 1 to ${MAX_GRID}`);
+  const maxDepth = input.maxTileDepth ?? 3;
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_DEPTH) {
+    throw new Error(`maxTileDepth must be a whole number from 0 to ${MAX_DEPTH}`);
+  }
+  for (const query of queries) {
+    const params = new URL(query.url).searchParams;
+    // the tiles set the map area themselves
+    if (params.get('l') || params.get('radius')) {
+      throw new Error(`boundingBox tiling cannot be combined with searchRadiusMeters or a map area (l=) in the search URL (query ${query.id})`);
+    }
+    splitBox(box, grid).forEach((b, i) => {
+      const tile = newTile({ id: `${query.id}-t${i + 1}`, queryId: query.id, kind: 'box', box: b });
+      tiles.push({ ...tile, url: tileUrl(query.url, tile) });
+    });
+  }
+  return { queries, tiles, maxDepth };
+};
+
+/**
+ * tileRequest - the first SEARCH request of a tile
+ * Its query carries the tile's location and URL, so foundBy names the area that listed a business.
+ */
+export const tileRequest = (tile, query) => ({
+  url: tile.url,
+  userData: { label: 'SEARCH', query: { ...query, location: tile.location ?? query.location, url: tile.url }, tileId: tile.id },
+});
+
+/**
+ * isSaturated - true when a search reached Yelp's page cap, so it lists only part of its area
+ * @param {number|null} pageCount - pages Yelp reports for the search (extractSearchPage)
+ */
+export const isSaturated = (pageCount) => pageCount != null && pageCount >= DEFAULTS.YELP_MAX_SEARCH_PAGES;
+
+/**
+ * subdivideTile - split a saturated map tile into 4 child tiles (added to the state)
+ * Location tiles and tiles at maxDepth cannot be split; they are marked saturated instead.
+ * @returns {object[]} the child tiles, empty when the tile could not be split
+ */
+export const subdivideTile = (state, tile, maxDepth) => {
+  if (tile.kind !== 'box' || tile.depth >= maxDepth) {
+    tile.status = 'saturated';
+    return [];
+  }
+  tile.status = 'subdivided';
+  return splitBox(tile.box, 2).map((b, i) => {
+    const child = newTile({ id: `${tile.id}.${i + 1}`, queryId: tile.queryId, kind: 'box', box: b, depth: tile.depth + 1, parentId: tile.id });
+    child.url = tileUrl(tile.url, child);
+    state[child.id] ??= child;
+    return state[child.id];
+  });
+};
+
+/**
+ * summarizeTiles - tile counts and the still-saturated tiles, for the run report
+ */
+export const summarizeTiles = (state) => {
+  const tiles = Object.values(state);
+  const count = (status) => tiles.filter((t) => t.status === status).length;
+  return {
+    total: tiles.length,
+    searched: tiles.length - count('pending'),
+    subdivided: count('subdivided'),
+    pending: count('pending'),
+    saturated: tiles
+      .filter((t) => t.status === 'saturated')
+      .map(({ id, queryId, kind, location, box, depth, pageCount, url }) => ({ id, queryId, kind, location, box, depth, pageCount, url })),
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * timezones.js
+ * Resolve a business's IANA timezone from its address (country + region).
+ *
+ * No geo database is bundled, so this is a lookup table: US states and Canadian
+ * provinces map to their dominant zone, other countries to their capital's zone.
+ * States split across zones (e.g. most of Indiana vs. its western corners) get the
+ * zone covering most of the population.
+ *
+ * Countries spanning several zones (US, CA, AU) are never resolved to a single country-wide
+ * zone: without a known region the zone of the nearest reference city to the business's
+ * coordinates is used, and without coordinates the zone is unknown (null).
+ */
+
+const US_STATES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+};
+
+const CA_PROVINCES = {
+  AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+  NL: 'America/St_Johns', NS: 'America/Halifax', NT: 'America/Yellowknife', NU: 'America/Iqaluit',
+  ON: 'America/Toronto', PE: 'America/Halifax', QC: 'America/Toronto', SK: 'America/Regina',
+  YT: 'America/Whitehorse',
+};
+
+const AU_STATES = {
+  NSW: 'Australia/Sydney', VIC: 'Australia/Melbourne', QLD: 'Australia/Brisbane', SA: 'Australia/Adelaide',
+  WA: 'Australia/Perth', TAS: 'Australia/Hobart', ACT: 'Australia/Sydney', NT: 'Australia/Darwin',
+};
+
+// Countries Yelp operates in, by their main zone
+const COUNTRIES = {
+  AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna', AU: 'Australia/Sydney', BE: 'Europe/Brussels',
+  BR: 'America/Sao_Paulo', CA: 'America/Toronto', CH: 'Europe/Zurich', CL: 'America/Santiago',
+  CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen', ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki', FR: 'Europe/Paris', GB: 'Europe/London', HK: 'Asia/Hong_Kong',
+  IE: 'Europe/Dublin', IT: 'Europe/Rome', JP: 'Asia/Tokyo', MX: 'America/Mexico_City',
+  MY: 'Asia/Kuala_Lumpur', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo', NZ: 'Pacific/Auckland',
+  PH: 'Asia/Manila', PL: 'Europe/Warsaw', PT: 'Europe/Lisbon', SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore', TR: 'Europe/Istanbul', TW: 'Asia/Taipei',
+};
+
+const REGIONS = { US: US_STATES, CA: CA_PROVINCES, AU: AU_STATES };
+
+// [latitude, longitude, zone] of cities spread over each zone of the multi-zone countries
+const REFERENCE_CITIES = {
+  US: [
+    [40.71, -74.01, 'America/New_York'], [42.36, -71.06, 'America/New_York'], [38.91, -77.04, 'America/New_York'],
+    [33.75, -84.39, 'America/New_York'], [25.76, -80.19, 'America/New_York'], [30.33, -81.66, 'America/New_York'],
+    [39.96, -83.0, 'America/New_York'], [40.44, -79.99, 'America/New_York'], [35.23, -80.84, 'America/New_York'],
+    [38.25, -85.76, 'America/New_York'], [42.33, -83.05, 'America/Detroit'], [39.77, -86.16, 'America/Indiana/Indianapolis'],
+    [41.88, -87.63, 'America/Chicago'], [29.76, -95.37, 'America/Chicago'], [32.78, -96.8, 'America/Chicago'],
+    [30.27, -97.74, 'America/Chicago'], [44.98, -93.27, 'America/Chicago'], [36.16, -86.78, 'America/Chicago'],
+    [29.95, -90.07, 'America/Chicago'], [39.1, -94.58, 'America/Chicago'], [38.63, -90.2, 'America/Chicago'],
+    [35.47, -97.52, 'America/Chicago'], [41.26, -95.94, 'America/Chicago'], [43.04, -87.91, 'America/Chicago'],
+    [46.88, -96.79, 'America/Chicago'], [39.74, -104.99, 'America/Denver'], [40.76, -111.89, 'America/Denver'],
+    [35.08, -106.65, 'America/Denver'], [31.76, -106.49, 'America/Denver'], [45.78, -108.5, 'America/Denver'],
+    [41.14, -104.82, 'America/Denver'], [43.62, -116.2, 'America/Boise'], [33.45, -112.07, 'America/Phoenix'],
+    [32.22, -110.97, 'America/Phoenix'], [34.05, -118.24, 'America/Los_Angeles'], [37.77, -122.42, 'America/Los_Angeles'],
+    [32.72, -117.16, 'America/Los_Angeles'], [47.61, -122.33, 'America/Los_Angeles'], [45.52, -122.68, 'America/Los_Angeles'],
+    [36.17, -115.14, 'America/Los_Angeles'], [39.53, -119.81, 'America/Los_Angeles'], [47.66, -117.43, 'America/Los_Angeles'],
+    [61.22, -149.9, 'America/Anchorage'], [21.31, -157.86, 'Pacific/Honolulu'], [18.47, -66.11, 'America/Puerto_Rico'],
+  ],
+  CA: [
+    [43.65, -79.38, 'America/Toronto'], [45.5, -73.57, 'America/Toronto'], [45.42, -75.7, 'America/Toronto'],
+    [46.81, -71.21, 'America/Toronto'], [44.65, -63.58, 'America/Halifax'], [46.09, -64.78, 'America/Moncton'],
+    [47.56, -52.71, 'America/St_Johns'], [49.9, -97.14, 'America/Winnipeg'], [50.45, -104.61, 'America/Regina'],
+    [52.13, -106.67, 'America/Regina'], [51.05, -114.07, 'America/Edmonton'], [53.55, -113.49, 'America/Edmonton'],
+    [49.28, -123.12, 'America/Vancouver'], [48.43, -123.37, 'America/Vancouver'], [49.89, -119.5, 'America/Vancouver'],
+    [60.72, -135.06, 'America/Whitehorse'], [62.45, -114.37, 'America/Yellowknife'], [63.75, -68.52, 'America/Iqaluit'],
+  ],
+  AU: [
+    [-33.87, 151.21, 'Australia/Sydney'], [-35.28, 149.13, 'Australia/Sydney'], [-37.81, 144.96, 'Australia/Melbourne'],
+    [-27.47, 153.03, 'Australia/Brisbane'], [-16.92, 145.77, 'Australia/Brisbane'], [-34.93, 138.6, 'Australia/Adelaide'],
+    [-31.95, 115.86, 'Australia/Perth'], [-42.88, 147.33, 'Australia/Hobart'], [-12.46, 130.84, 'Australia/Darwin'],
+  ],
+};
+
+// Nearest reference city by equirectangular distance, plenty accurate at this scale
+const nearestZone = (cities, latitude, longitude) => {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const [lat, lon, zone] of cities) {
+    const dx = (lon - longitude) * Math.cos(((lat + latitude) / 2) * (Math.PI / 180));
+    const distance = dx * dx + (lat - latitude) ** 2;
+    if (distance < bestDistance) [best, bestDistance] = [zone, distance];
+  }
+  return best;
+};
+
+/**
+ * resolveTimezone - best-effort IANA timezone for a country/region pair
+ * A multi-zone country without a known region falls back to the coordinates, then to null.
+ * @param {{countryCode?: string, region?: string, latitude?: number, longitude?: number}} address
+ * @returns {string|null}
+ */
+export const resolveTimezone = ({ countryCode, region, latitude = null, longitude = null } = {}) => {
+  const cc = (countryCode || '').trim().toUpperCase();
+  const rg = (region || '').trim().toUpperCase();
+  if (REGIONS[cc]?.[rg]) return REGIONS[cc][rg];
+  // US addresses often come without a country; a known state code is enough
+  if (!cc && US_STATES[rg]) return US_STATES[rg];
+  if (REFERENCE_CITIES[cc]) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude) ? nearestZone(REFERENCE_CITIES[cc], latitude, longitude) : null;
+  }
+  return COUNTRIES[cc] ?? null;
+};
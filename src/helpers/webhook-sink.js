@@ -0,0 +1,151 @@
+/**
+ * webhook-sink.js
+ * Streams saved businesses to an HTTP endpoint while the run is going.
+ *
+ * Items are POSTed as JSON in batches: { runId, batchId, sentAt, items }. A batch is sent as soon
+ * as it is full, and a partial batch after flushIntervalSecs; batches go out one at a time and in order.
+ * Every request carries:
+ *   X-Batch-Id        - stable across retries and migrations, for idempotent ingestion
+ *   X-Signature-256   - "sha256=<hex HMAC of the raw body>" when a secret is set
+ * plus the configured headers and, with a token, "Authorization: Bearer <token>".
+ *
+ * Network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff (Retry-After
+ * is honored, in seconds or as an HTTP date); other responses fail the batch at once. A batch that still fails is stored in the
+ * default key-value store as WEBHOOK-DEAD-LETTER-<batchId>, with its items and the last error.
+ *
+ * The buffer and the batches in flight are kept in persisted actor state, so a migration resends
+ * them instead of losing them (delivery is at least once, as long as an item is pushed here before
+ * it is saved to the dataset). flush() must be awaited before Actor.exit().
+ * When more than maxPendingBatches batches are waiting for a slow endpoint, push() waits for them
+ * to go out, so the crawl slows down instead of piling batches up in memory and state.
+ *
+ * Exported functions:
+ *   signBody(body, secret)
+ *   backoffMs(attempt, retryAfter)
+ *   createWebhookSink(options)
+ */
+
+import { createHmac } from 'node:crypto';
+import { Actor, log } from '@apify/actor';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+const RETRY_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * signBody - HMAC-SHA256 signature header value of a request body
+ */
+export const signBody = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * backoffMs - wait before retry number `attempt`: the Retry-After header (seconds or HTTP date)
+ * when the endpoint sent one, else exponential backoff with jitter
+ */
+export const backoffMs = (attempt, retryAfter = null) => {
+  const header = String(retryAfter ?? '').trim();
+  if (/^\d+$/.test(header)) return Math.min(Number(header) * 1000, BACKOFF_MAX_MS);
+  const date = header ? Date.parse(header) : NaN;
+  if (Number.isFinite(date)) return Math.min(Math.max(date - Date.now(), 0), BACKOFF_MAX_MS);
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS) * (0.5 + Math.random() / 2);
+};
+
+/**
+ * createWebhookSink - batching HTTP sink
+ * @param {object} opts - { url, batchSize, flushIntervalSecs, headers, authToken, hmacSecret, maxRetries, timeoutMs, maxPendingBatches }
+ * @returns {Promise<{push: (item: object) => Promise<void>, flush: () => Promise<void>, stats: object}>}
+ */
+export const createWebhookSink = async ({
+  url,
+  batchSize = 25,
+  flushIntervalSecs = 5,
+  headers = {},
+  authToken = null,
+  hmacSecret = null,
+  maxRetries = 5,
+  timeoutMs = 15000,
+  maxPendingBatches = 10,
+}) => {
+  new URL(url); // throws on an invalid endpoint before the crawl starts
+  const runId = Actor.getEnv().actorRunId || 'local';
+  const state = await Actor.useState('WEBHOOK_SINK', { seq: 0, buffer: [], inFlight: {}, stats: { sent: 0, items: 0, retries: 0, deadLettered: 0 } });
+
+  const send = async (batchId, items) => {
+    const body = JSON.stringify({ runId, batchId, sentAt: new Date().toISOString(), items });
+    const requestHeaders = { 'content-type': 'application/json', ...headers, 'x-batch-id': batchId };
+    if (authToken) requestHeaders.authorization = `Bearer ${authToken}`;
+    if (hmacSecret) requestHeaders['x-signature-256'] = signBody(body, hmacSecret);
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) state.stats.retries++;
+      let retryAfter = null;
+      try {
+        const res = await fetch(url, { method: 'POST', headers: requestHeaders, body, signal: AbortSignal.timeout(timeoutMs) });
+        if (res.ok) return { error: null, attempts: attempt + 1 };
+        lastError = `HTTP ${res.status} ${res.statusText}`.trim();
+        if (!RETRY_STATUS(res.status)) return { error: lastError, attempts: attempt + 1 };
+        retryAfter = res.headers.get('retry-after');
+      } catch (err) {
+        lastError = err.message;
+      }
+      if (attempt < maxRetries) {
+        const wait = backoffMs(attempt, retryAfter);
+        log.warning(`Webhook batch ${batchId} failed (${lastError}), retrying in ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+      }
+    }
+    return { error: lastError, attempts: maxRetries + 1 };
+  };
+
+  const deliver = async (batchId) => {
+    const items = state.inFlight[batchId];
+    const { error, attempts } = await send(batchId, items);
+    if (error) {
+      log.error(`Webhook batch ${batchId} (${items.length} items) failed for good: ${error}`);
+      await Actor.setValue(`WEBHOOK-DEAD-LETTER-${batchId}`, { url, batchId, error, attempts, failedAt: new Date().toISOString(), items })
+        .catch((err) => log.error(`Could not store dead-letter batch ${batchId}: ${err.message}`));
+      state.stats.deadLettered++;
+    } else {
+      state.stats.sent++;
+      state.stats.items += items.length;
+    }
+    delete state.inFlight[batchId];
+  };
+
+  // Batches go out one after the other, in order
+  let queue = Promise.resolve();
+  const enqueue = (batchId) => {
+    queue = queue.then(() => deliver(batchId)).catch((err) => log.error(`Webhook batch ${batchId}: ${err.message}`));
+    return queue;
+  };
+
+  const cut = () => {
+    if (!state.buffer.length) return;
+    state.seq++;
+    const batchId = `${runId}-${state.seq}`;
+    state.inFlight[batchId] = state.buffer.splice(0, state.buffer.length);
+    enqueue(batchId);
+  };
+
+  // Batches that were in flight when a previous instance of the run migrated
+  for (const batchId of Object.keys(state.inFlight)) enqueue(batchId);
+
+  const timer = setInterval(cut, flushIntervalSecs * 1000);
+  timer.unref?.();
+
+  return {
+    push: async (item) => {
+      state.buffer.push(item);
+      if (state.buffer.length >= batchSize) cut();
+      if (Object.keys(state.inFlight).length > maxPendingBatches) await queue;
+    },
+    flush: async () => {
+      clearInterval(timer);
+      cut();
+      await queue;
+    },
+    stats: state.stats,
+  };
+};
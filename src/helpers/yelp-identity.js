@@ -0,0 +1,104 @@
+/**
+ * yelp-identity.js
+ * Canonical Yelp business identity.
+ *
+ * Search pages link to the same business in many ways: review anchors (`#reviews`),
+ * tracking variants (`?osq=`, `?hrid=`), sponsored cards with ad parameters, etc.
+ * Everything here reduces those links to a single business alias, which is then used
+ * for request uniqueKeys, the output `alias` field and per-run deduplication.
+ */
+
+export const YELP_ORIGIN = 'https://www.yelp.com';
+
+// Yelp's country sites (www., m. and language subdomains included)
+const YELP_HOST_REGEX = /(^|\.)yelp\.(com|ca|ie|de|fr|es|it|nl|be|at|ch|dk|se|no|fi|pl|pt|cz|cl|my|co\.uk|co\.nz|co\.jp|com\.au|com\.sg|com\.hk|com\.tr|com\.br|com\.mx|com\.ar|com\.ph|com\.tw)$/i;
+
+/**
+ * isYelpHost - whether a hostname is one of Yelp's sites
+ */
+export const isYelpHost = (hostname) => YELP_HOST_REGEX.test(String(hostname ?? ''));
+
+/**
+ * parseBusinessAlias - extract the business alias from any Yelp /biz/ link
+ * @param {string} href - absolute or relative link, e.g. '/biz/joes-plumbing-sf?osq=plumber#reviews'
+ * @returns {string|null} - e.g. 'joes-plumbing-sf'
+ */
+export const parseBusinessAlias = (href) => {
+  try {
+    const u = new URL(href, YELP_ORIGIN);
+    if (!isYelpHost(u.hostname)) return null;
+    const m = u.pathname.match(/^\/biz\/([^/]+)/);
+    if (!m) return null;
+    return decodeURIComponent(m[1]).trim().toLowerCase() || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * canonicalBusinessUrl - the single URL we visit for a business alias
+ * @param {string} alias
+ * @returns {string}
+ */
+export const canonicalBusinessUrl = (alias) => `${YELP_ORIGIN}/biz/${encodeURIComponent(alias)}`;
+
+/**
+ * businessIdentity - alias, canonical URL and request uniqueKey for a /biz/ link
+ * @param {string} href
+ * @returns {{alias: string, url: string, uniqueKey: string}|null}
+ */
+export const businessIdentity = (href) => {
+  const alias = parseBusinessAlias(href);
+  if (!alias) return null;
+  return { alias, url: canonicalBusinessUrl(alias), uniqueKey: `biz:${alias}` };
+};
+
+/**
+ * extractYelpBusinessId - Yelp's stable (encrypted) business ID from a detail page
+ * Survives alias changes, so it is the strongest dedupe key when present.
+ */
+export const extractYelpBusinessId = async (page) => {
+  try {
+    const meta = page.locator('meta[name="yelp-biz-id"]');
+    if (await meta.count()) {
+      const id = await meta.first().getAttribute('content');
+      if (id?.trim()) return id.trim();
+    }
+    const attr = page.locator('[data-biz-id]');
+    if (await attr.count()) return (await attr.first().getAttribute('data-biz-id'))?.trim() || null;
+  } catch {}
+  return null;
+};
+
+/**
+ * businessClaimant - who saved a business in this run: the owner of the first claimed key, or null
+ * @param {object} registry - persisted plain object, key -> owner
+ * @param {Array<string|null>} keys - alias:*, id:* keys of the business
+ * @returns {string|null}
+ */
+export const businessClaimant = (registry, keys) => keys.filter(Boolean).map((k) => registry[k]).find(Boolean) ?? null;
+
+/**
+ * claimBusiness - mark a business as saved for this run, by `owner` (the request saving it)
+ * Returns false if any of the keys (alias, business ID, ...) was claimed before.
+ * Check and set happen synchronously, so concurrent handlers cannot both win.
+ * Claim right before saving: a claim taken earlier would outlive a failed attempt and
+ * make the retry drop the business as a duplicate.
+ *
+ * @param {object} registry - persisted plain object, key -> owner
+ * @param {Array<string|null>} keys
+ * @param {string} owner
+ * @returns {boolean}
+ */
+export const claimBusiness = (registry, keys, owner) => {
+  if (businessClaimant(registry, keys)) return false;
+  for (const k of keys.filter(Boolean)) registry[k] = owner;
+  return true;
+};
+
+/**
+ * releaseBusiness - undo the claim of `owner` when saving failed
+ */
+export const releaseBusiness = (registry, keys, owner) => {
+  for (const k of keys.filter(Boolean)) if (registry[k] === owner) delete registry[k];
+};
@@ -1,111 +1,72 @@
 // main.js
 import { Actor, log } from '@apify/actor';
-import { PlaywrightCrawler, Dataset } from '@crawlee/playwright';
-import { gotScraping } from '@apify/got-scraping';
-
-const SLEEP = (ms) => new Promise((r) => setTimeout(r, ms));
+import { BasicCrawler, PlaywrightCrawler, Dataset } from '@crawlee/playwright';
+import { handleReviewsPage, buildReviewsRequest } from './crawler/reviews-handler.js';
+import { fetchHtml, fetchWebsiteAndContacts } from './crawler/website-scraper.js';
+import { createBrowserRenderer } from './crawler/browser-renderer.js';
+import { buildEnrichmentRequest, openEnrichmentQueue, runUntilDrained } from './crawler/enrichment-stage.js';
+import { extractDetailFields, extractJsonLd, extractSearchPage } from './crawler/page-extractors.js';
+import { createFixtures } from './crawler/fixtures.js';
+import { exportDataset } from './crawler/export-stage.js';
+import { createWebhookSink } from './helpers/webhook-sink.js';
+import { buildSearchQueries } from './helpers/queries.js';
+import { businessDetailRequest, hasBusinessInput, loadBusinessInput } from './helpers/business-input.js';
+import { isSaturated, planTiles, subdivideTile, summarizeTiles, tileRequest } from './helpers/tiles.js';
+import {
+  businessIdentity,
+  canonicalBusinessUrl,
+  businessClaimant,
+  claimBusiness,
+  extractYelpBusinessId,
+  parseBusinessAlias,
+  releaseBusiness,
+} from './helpers/yelp-identity.js';
+import {
+  YELP_FINGERPRINT_FIELDS,
+  compareFingerprint,
+  diffFields,
+  openFingerprintStore,
+  pickFingerprintFields,
+} from './helpers/incremental.js';
+import { evaluateOpenStatus } from './helpers/hours.js';
+import { resolveTimezone } from './helpers/timezones.js';
+import { formatAddress } from './helpers/address.js';
+import { pickBestEmail, scoreEmails } from './helpers/emails.js';
+import { selectSocialProfiles } from './helpers/social.js';
+import { EXPORT_FORMATS, compileMapping } from './helpers/crm-export.js';
+import { classifyWebsitePhones, parsePhone } from './helpers/phones.js';
+import { isQueryDone, queryProgress, releaseSlot, reserveSlot, takeRefills } from './helpers/result-limit.js';
+import { createHostThrottle } from './helpers/limiter.js';
+import { blockBackoffMs, detectBlock, isNoResultsPage, recordBlock } from './helpers/blocking.js';
+import { createDebugBundles } from './helpers/debug-bundle.js';
+import { buildFilters, rejectingFilter } from './helpers/filters.js';
+import {
+  buildRunSummary,
+  bump,
+  countFields,
+  failedRequestRecord,
+  initRunStats,
+  recordFailure,
+  withStageStats,
+} from './helpers/run-summary.js';
+import {
+  buildDiagnosticsReport,
+  describeFailures,
+  initDiagnostics,
+  recordBlockedPage,
+  recordExtraction,
+} from './helpers/diagnostics.js';
+import { DEFAULTS } from './config.js';
 
 /* ------------------------------
    Helper utilities
    ------------------------------ */
 
-const unique = (arr) => [...new Set((arr || []).filter(Boolean))];
-
-const safeText = async (locator) => {
-  try {
-    if (!locator) return null;
-    const count = await locator.count();
-    if (!count) return null;
-    return (await locator.first().textContent())?.trim() || null;
-  } catch {
-    return null;
-  }
-};
-
-const extractJsonLd = async (page) => {
-  try {
-    const scripts = await page.locator('script[type="application/ld+json"]').all();
-    for (const s of scripts) {
-      try {
-        const txt = await s.textContent();
-        if (!txt) continue;
-        const parsed = JSON.parse(txt);
-        const blocks = Array.isArray(parsed) ? parsed : [parsed];
-        for (const b of blocks) {
-          if (!b) continue;
-          const t = b['@type'];
-          if (!t) continue;
-          // Yelp uses LocalBusiness / Organization / ProfessionalService etc.
-          if (['LocalBusiness', 'Organization', 'ProfessionalService', 'MedicalBusiness'].includes(t)) {
-            return b;
-          }
-        }
-      } catch {
-        // ignore parse errors
-      }
-    }
-  } catch {
-    // ignore
-  }
-  return null;
-};
-
-const extractContactsFromHtml = (html) => {
-  if (!html) return { emails: [], phones: [], socialLinks: [] };
-
-  // Email regex - avoid data:image and javascript: etc.
-  const emailMatches = Array.from(html.matchAll(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g)).map(m => m[0]);
-  const emails = unique(emailMatches).filter(e => !/example|test/.test(e.toLowerCase()));
-
-  // Phone regex — permissive but filtered
-  const phoneMatches = Array.from(html.matchAll(/(?:\+?\d{1,3}[ .-]?)?(?:\(?\d{2,4}\)?[ .-]?)?\d{3,4}[ .-]?\d{3,4}/g)).map(m => m[0]);
-  const phones = unique(phoneMatches).filter(p => p.replace(/[^\d]/g, '').length >= 7);
-
-  // Social links - common platforms
-  const socialMatches = Array.from(html.matchAll(/https?:\/\/(?:www\.)?(facebook|fb|instagram|twitter|x\.com|linkedin|youtube|tiktok)\.com\/[^\s"'<>)]+/gi)).map(m => m[0]);
-  const socialLinks = unique(socialMatches);
-
-  return { emails, phones, socialLinks };
-};
+const NO_CONTACTS = { emails: [], phones: [], socialLinks: [], pagesVisited: [], fetchedVia: null, redirectedTo: null };
 
-const fetchWebsiteAndContacts = async (baseUrl, contactPaths, gotOptions = {}) => {
-  const results = { emails: [], phones: [], socialLinks: [] };
-  if (!baseUrl) return results;
-
-  const tried = new Set();
-  const normalizedBase = baseUrl.replace(/\/+$/, '');
-  const urlsToTry = [normalizedBase, ...contactPaths.map(p => new URL(p, normalizedBase).toString())];
-
-  for (const url of urlsToTry) {
-    try {
-      const clean = url.replace(/#.*$/, '');
-      if (tried.has(clean)) continue;
-      tried.add(clean);
-
-      const res = await gotScraping({ url: clean, timeout: 15000, retry: { limit: 1 }, ...gotOptions });
-      if (!res || !res.body) continue;
-
-      const { emails, phones, socialLinks } = extractContactsFromHtml(res.body);
-      results.emails.push(...emails);
-      results.phones.push(...phones);
-      results.socialLinks.push(...socialLinks);
-
-      // stop early if we found at least one email and one phone
-      if (results.emails.length > 0 && results.phones.length > 0) break;
-
-      // small polite delay
-      await SLEEP(300 + Math.random() * 400);
-    } catch (err) {
-      // log but continue trying other pages
-      log.debug(`Error fetching website ${url}: ${err.message}`);
-    }
-  }
-
-  results.emails = unique(results.emails);
-  results.phones = unique(results.phones);
-  results.socialLinks = unique(results.socialLinks);
-  return results;
-};
+// foundBy entries of the queries that listed a business
+const foundByOf = (queries) =>
+  queries.filter(Boolean).map(({ keyword, location, url }) => ({ keyword, location, searchUrl: url }));
 
 /* ------------------------------
    Main
@@ -113,9 +74,22 @@ const fetchWebsiteAndContacts = async (baseUrl, contactPaths, gotOptions = {}) =
 
 await Actor.init();
 
+// Webhook sink (helpers/webhook-sink.js); flushed in `finally` so pending batches go out before exit
+let webhookSink = null;
+
 try {
   // Read input once, use throughout
-  const input = await Actor.getInput() || {};
+  const rawInput = await Actor.getInput() || {};
+  // Diagnostic mode checks the selectors on a small sample of pages per query:
+  // no website enrichment and no reviews, just Yelp extraction
+  const input = rawInput.diagnosticMode
+    ? {
+        ...rawInput,
+        maxResults: Math.min(rawInput.maxResults ?? 200, rawInput.diagnosticSampleSize ?? 5),
+        fetchContactsFromWebsite: false,
+        maxReviewsPerBusiness: 0,
+      }
+    : rawInput;
   const {
     search = 'plumber',
     location = 'San Francisco, CA',
@@ -126,25 +100,290 @@ try {
     useResidentialProxy = true,
     proxyCountryCode = 'US',
     maxConcurrency = 5,
-    debugScreenshots = true,
-    websiteFetchLimit = 1, // per business: number of pages to fetch from external website before giving up
+    debugScreenshots = true, // debug bundles (screenshot, HTML, error, session) for failed/blocked requests
+    maxDebugBundles = 20,
+    websiteRequestTimeoutMs = 15000,
+    websiteMaxPages = 5, // per business: pages fetched from its website, homepage included
+    websiteTimeBudgetSecs = 30,
+    websiteUseSitemap = false,
+    websiteConcurrency = 10,
+    websiteDomainDelayMs = DEFAULTS.WEBSITE_REQUEST_DELAY,
+    browserFallback = true,
+    browserFallbackConcurrency = 1,
+    browserFallbackTimeoutSecs = 20,
+    maxReviewsPerBusiness = 0,
+    reviewsSort = 'relevance',
+    reviewsLanguage = '',
+    reviewsDatasetName = 'yelp-reviews',
+    incrementalMode = false,
+    incrementalStoreName = 'yelp-business-fingerprints',
+    skipUnchanged = false,
+    failedDatasetName = 'yelp-failed-requests',
+    diagnosticMode = false,
+    diagnosticThresholds = {},
+    fixturesMode = 'off',
+    fixturesDir = './fixtures',
+    fixturesUpdateExpected = false,
+    exportFormats = [],
+    exportFieldMapping = null,
+    webhookUrl = '',
+    webhookBatchSize = 25,
+    webhookFlushIntervalSecs = 5,
+    webhookHeaders = {},
+    webhookAuthToken = '',
+    webhookHmacSecret = '',
+    webhookMaxRetries = 5,
   } = input;
 
-  const buildYelpSearchUrl = (s, loc) => {
-    const params = new URLSearchParams({ find_desc: s || '', find_loc: loc || '' });
-    return `https://www.yelp.com/search?${params.toString()}`;
+  // Declarative filters (rating, reviews, website, email, price, categories); see helpers/filters.js
+  const filters = buildFilters(input);
+  if (filters.length) log.info(`Filters: ${[...new Set(filters.map((f) => f.name))].join(', ')}`);
+  if (input.requireEmail && !fetchContactsFromWebsite) {
+    log.warning('requireEmail is set but fetchContactsFromWebsite is off: every business will be filtered out');
+  }
+  const reviewsInput = { maxReviewsPerBusiness, reviewsSort, reviewsLanguage, reviewsDatasetName };
+
+  // Every keyword × location (or raw search URL) becomes its own seed SEARCH query
+  // (Yelp search filters are validated here: a bad value or combination fails the run before any crawling)
+  // With tiling, each query is searched as several smaller areas (helpers/tiles.js).
+  // Businesses given directly (URLs, aliases, dataset, record) skip search altogether.
+  let queries = [];
+  let tilePlan = null;
+  let directBusinesses = null;
+  let exportColumns = null;
+  try {
+    // CRM export settings are checked up front, not after a long crawl
+    const badFormat = exportFormats.find((f) => !EXPORT_FORMATS.includes(f));
+    if (badFormat) throw new Error(`exportFormats: unknown format "${badFormat}", use ${EXPORT_FORMATS.join(', ')}`);
+    if (exportFieldMapping && Object.keys(exportFieldMapping).length) exportColumns = compileMapping(exportFieldMapping);
+
+    if (webhookUrl) {
+      if (!/^https?:\/\//i.test(webhookUrl)) throw new Error(`webhookUrl must be an http(s) URL, got "${webhookUrl}"`);
+      if (!(webhookBatchSize >= 1)) throw new Error('webhookBatchSize must be at least 1');
+      if (webhookHeaders && (typeof webhookHeaders !== 'object' || Array.isArray(webhookHeaders))) {
+        throw new Error('webhookHeaders must be an object of header name -> value');
+      }
+      webhookSink = await createWebhookSink({
+        url: webhookUrl,
+        batchSize: webhookBatchSize,
+        flushIntervalSecs: webhookFlushIntervalSecs,
+        headers: Object.fromEntries(Object.entries(webhookHeaders ?? {}).map(([k, v]) => [k, String(v)])),
+        authToken: webhookAuthToken || null,
+        hmacSecret: webhookHmacSecret || null,
+        maxRetries: webhookMaxRetries,
+      });
+    }
+
+    if (hasBusinessInput(input)) {
+      const { businesses, invalid } = await loadBusinessInput(input);
+      if (invalid.length) log.warning(`Ignoring ${invalid.length} entries that are not Yelp businesses, e.g. ${JSON.stringify(invalid[0])}`);
+      if (!businesses.length) throw new Error('no valid Yelp business URLs or aliases in businesses / businessesDatasetId / businessesRecord');
+      directBusinesses = businesses;
+    } else {
+      queries = buildSearchQueries({ ...input, search, location, yelpSearchUrl });
+      tilePlan = planTiles(input, queries);
+      // location tiles replace the query locations: one query per keyword (helpers/tiles.js)
+      if (tilePlan) queries = tilePlan.queries;
+    }
+  } catch (err) {
+    await Actor.fail(`Invalid input: ${err.message}`);
+  }
+  if (directBusinesses) log.info(`Seeding ${directBusinesses.length} businesses directly, no search`);
+  else log.info(`Seeding ${queries.length} search queries${tilePlan ? ` as ${tilePlan.tiles.length} tiles (${input.tilingMode})` : ''}`);
+  for (const q of queries) log.info(`Query ${q.id}: ${q.url}`);
+
+  // Query bookkeeping, persisted so it survives migrations and restarts.
+  // A business is enqueued once (by the first query that finds it); later queries only add themselves
+  // to businessQueries. queryState holds the exact per-query maxResults accounting.
+  const businessQueries = await Actor.useState('BUSINESS_QUERIES', {}); // alias -> { queryId: query }
+  const queryState = await Actor.useState('QUERY_PROGRESS', {}); // queryId -> progress (helpers/result-limit.js)
+
+  // Businesses already saved in this run (alias:* and id:* keys -> uniqueKey of the DETAIL request
+  // that saved it). Persisted so a migration or restart cannot push the same business twice.
+  const savedBusinesses = await Actor.useState('SAVED_BUSINESSES', {});
+
+  // Businesses a query listed after they were saved (alias -> true): their items miss that
+  // query in foundBy, so the complete lists go to the FOUND_BY record at the end of the run
+  const lateFoundBy = await Actor.useState('LATE_FOUND_BY', {});
+
+  // DETAIL requests whose result slot was settled (uniqueKey -> true). A timed-out attempt keeps
+  // running next to its retry, so the same request can reach settleDetail twice.
+  const settledDetails = await Actor.useState('SETTLED_DETAILS', {});
+
+  // Search tiles (tiling mode only): tileId -> tile, including the ones added by subdivision
+  const tileState = await Actor.useState('TILES', {});
+  for (const tile of tilePlan?.tiles ?? []) tileState[tile.id] ??= tile;
+
+  // Per-stage counts, hit rates and failures for the RUN_SUMMARY record
+  const runStats = initRunStats(await Actor.useState('RUN_STATS', {}));
+
+  // Requests that exhausted their retries, with the reason
+  const failedDataset = await Dataset.open(failedDatasetName);
+  const recordFailedRequest = async (request, error) => {
+    recordFailure(runStats, request, error);
+    await failedDataset.pushData(failedRequestRecord(request, error)).catch(() => {});
   };
 
-  const startUrl = (yelpSearchUrl && yelpSearchUrl.trim()) ? yelpSearchUrl.trim() : buildYelpSearchUrl(search, location);
-  log.info(`Start URL: ${startUrl}`);
+  // Fixtures: record Yelp pages and website responses, or replay them with no network access
+  const fixtures = ['record', 'replay'].includes(fixturesMode)
+    ? await createFixtures({ mode: fixturesMode, dir: fixturesDir, updateExpected: fixturesUpdateExpected })
+    : null;
+  const replaying = fixtures?.mode === 'replay';
+  if (fixtures) log.info(`Fixtures: ${fixturesMode} (${fixturesDir})`);
+
+  // Selector health check (diagnostic mode only): strategies and hit rates per extracted field
+  const diagnostics = diagnosticMode ? initDiagnostics(await Actor.useState('DIAGNOSTICS_STATE', {})) : null;
+
+  // Debug bundles of failed and blocked requests, in the default key-value store
+  const captureDebugBundle = debugScreenshots ? await createDebugBundles({ maxBundles: maxDebugBundles }) : null;
+
+  // Yelp blocks (CAPTCHAs, interstitials, 403/503) per reason and per proxy session, for the run report
+  const blockStats = await Actor.useState('BLOCK_STATS', { total: 0, byReason: {}, bySession: {} });
+
+  // Incremental mode: fingerprints from previous runs, keyed by business alias
+  const fingerprints = incrementalMode ? await openFingerprintStore(incrementalStoreName) : null;
+
+  // A DETAIL request finished, saved or not: free its slot and enqueue whatever can use it
+  const settleDetail = async (request, saved) => {
+    const { query } = request.userData;
+    const detailKey = request.userData.detailKey ?? request.uniqueKey;
+    if (!query || settledDetails[detailKey]) return;
+    settledDetails[detailKey] = true;
+    const progress = queryProgress(queryState, query.id);
+    releaseSlot(progress, saved);
+    const refills = takeRefills(progress, maxResults);
+    if (refills.length) await crawler.addRequests(refills);
+  };
 
-  // Create proxy configuration using Actor helper (Apify environment) if requested
-  const proxyConfiguration = await Actor.createProxyConfiguration(
-    useResidentialProxy ? { groups: ['RESIDENTIAL'], countryCode: proxyCountryCode } : {}
-  );
+  // A blocked Yelp response: burn the session and browser, back off, and throw so the request is retried
+  const failBlocked = async (reason, { page, request, response, session, proxyInfo }) => {
+    recordBlock(blockStats, session?.id ?? null, reason);
+    if (captureDebugBundle) {
+      await captureDebugBundle({ page, request, response, session, proxyInfo, reason: `blocked: ${reason}` }).catch(() => null);
+    }
+    session?.retire();
+    try {
+      crawler.browserPool.retireBrowserByPage(page);
+    } catch {}
+    request.userData.notBefore = Date.now() + blockBackoffMs(request.retryCount);
+    throw new Error(`Blocked by Yelp (${reason}), retrying with a new session: ${request.url}`);
+  };
+
+  // Completes a business record with its website contacts (none when it was not enriched)
+  // and saves it. Returns false when it is filtered out, a duplicate, or dropped as unchanged.
+  // The business is claimed here, right before saving, under the DETAIL request's uniqueKey.
+  const saveBusiness = async (partial, contacts, request, identityKeys) => {
+    const owner = request.userData.detailKey ?? request.uniqueKey;
+    // Emails - scored best first; bestEmail is the single address outreach should use
+    // (null when none is confident enough)
+    const emailDetails = scoreEmails(contacts.emails, { website: partial.website });
+    // Phones - normalize against the business country (proxy country as fallback)
+    const phoneCountry = partial.countryCode ?? proxyCountryCode;
+
+    const item = {
+      ...partial,
+      // a homepage that redirects to another site (Facebook, linktr.ee, ...) was not enriched;
+      // `website` stays the Yelp value, compared by the unchanged check on the DETAIL page
+      websiteRedirectsTo: contacts.redirectedTo,
+      emails: emailDetails.map((e) => e.email),
+      emailDetails,
+      bestEmail: pickBestEmail(emailDetails),
+      phonesFromWebsite: classifyWebsitePhones(contacts.phones, { country: phoneCountry, yelpPhoneE164: partial.phoneE164 }),
+      // One profile per platform from the Yelp-listed and the website's links
+      social: selectSocialProfiles(
+        [...Object.values(partial.social ?? {}).filter(Boolean).map((url) => ({ url, source: 'yelp' })), ...contacts.socialLinks],
+        { businessName: partial.name }
+      ),
+      websitePagesVisited: contacts.pagesVisited,
+      contactsFetchedVia: contacts.fetchedVia,
+    };
+
+    // Filters that need website contacts; a rejected business frees its result slot
+    const rejectedBy = rejectingFilter(filters, item, 'website');
+    if (rejectedBy) {
+      log.info(`Filtered out (${rejectedBy}): ${item.name ?? '(no-name)'} | ${item.yelpUrl}`);
+      bump(runStats, `filter.${rejectedBy}`);
+      return false;
+    }
+
+    // Saved by another request (alias change, same Yelp ID), or by an earlier attempt of this one
+    const claimant = businessClaimant(savedBusinesses, identityKeys);
+    if (claimant) {
+      if (claimant !== owner) {
+        log.info(`Skipping duplicate business ${item.alias ?? item.yelpUrl} (${item.yelpBusinessId ?? 'no id'})`);
+        bump(runStats, 'detail.duplicate');
+      }
+      return claimant === owner;
+    }
+    claimBusiness(savedBusinesses, identityKeys, owner);
+    // All queries that listed this business so far, not only the one that enqueued it; from the
+    // claim on, the SEARCH handler records later ones as late matches
+    item.foundBy = foundByOf(businessQueries[partial.alias] ? Object.values(businessQueries[partial.alias]) : [request.userData.query]);
+    const fingerprintKey = item.alias ?? item.yelpUrl;
+    let fingerprint = null;
+    try {
+      if (fingerprints) {
+        // no website page was read: the contacts are unknown, not gone
+        const contactsKnown = !partial.website || contacts.pagesVisited.length > 0;
+        const { changeStatus, changes, fields } = compareFingerprint(await fingerprints.get(fingerprintKey), item, { contactsKnown });
+        Object.assign(item, { changeStatus, changes });
+        if (changeStatus === 'unchanged' && skipUnchanged) {
+          log.info(`Unchanged since last run, skipping: ${item.name ?? '(no-name)'} | ${item.yelpUrl}`);
+          bump(runStats, 'detail.unchanged');
+          return false;
+        }
+        fingerprint = fields;
+      }
+      // The sink's buffer is persisted: pushed first, a migration before the dataset write
+      // leads to a retry that sends the item twice, never to an item the webhook misses
+      await webhookSink?.push(item);
+      await Dataset.pushData(item);
+    } catch (err) {
+      // not saved: the retry must be able to claim it again
+      releaseBusiness(savedBusinesses, identityKeys, owner);
+      throw err;
+    }
+    // Only a saved item updates its fingerprint, or a retry would find it unchanged and drop it
+    if (fingerprint) {
+      await fingerprints.set(fingerprintKey, fingerprint)
+        .catch((err) => log.warning(`Could not store the fingerprint of ${fingerprintKey}: ${err.message}`));
+    }
+    countFields(runStats, item);
+    fixtures?.recordItem(item);
+    log.info(`Saved: ${item.name ?? '(no-name)'} | ${item.yelpUrl}`);
+
+    // Reviews are scraped in their own stage so a slow review feed never delays the item
+    if (maxReviewsPerBusiness > 0) {
+      await crawler.addRequests([buildReviewsRequest(item.yelpUrl, { input: reviewsInput })]);
+    }
+    return true;
+  };
+
+  // Website enrichment: run-scoped queue plus a per-domain throttle shared by all enrichment requests
+  const enrichmentQueue = await openEnrichmentQueue();
+  const throttle = createHostThrottle(replaying ? 0 : websiteDomainDelayMs);
+
+  // With fixtures, website fetches and renders are recorded or answered from the fixture directory
+  const httpGet = fixtures ? fixtures.wrapHttpGet(fetchHtml) : fetchHtml;
+
+  // Create proxy configuration using Actor helper (Apify environment) if requested; replay needs none
+  const proxyConfiguration = replaying
+    ? undefined
+    : await Actor.createProxyConfiguration(
+        useResidentialProxy ? { groups: ['RESIDENTIAL'], countryCode: proxyCountryCode } : {}
+      );
+
+  // JS-rendered business websites are re-fetched in a browser of their own (own proxy sessions and limits)
+  const browserRenderer = browserFallback
+    ? createBrowserRenderer({
+        proxyConfiguration,
+        maxConcurrency: browserFallbackConcurrency,
+        timeoutMs: browserFallbackTimeoutSecs * 1000,
+      })
+    : null;
+  const renderPage = fixtures ? fixtures.wrapRenderer(browserRenderer) : browserRenderer;
 
   const crawler = new PlaywrightCrawler({
-    maxRequestsPerCrawl: Math.max(500, maxResults * 3),
     maxConcurrency,
     proxyConfiguration,
     // Use lightweight fingerprints
@@ -152,7 +391,14 @@ try {
       useFingerprints: true,
       fingerprintOptions: { devices: ['desktop'], locales: ['en-US'] },
     },
+    // Blocking status codes are handled (and counted) by our own block detection
+    sessionPoolOptions: { blockedStatusCodes: [] },
     preNavigationHooks: [
+      // back off before retrying a request that was blocked
+      async ({ request }) => {
+        const wait = (request.userData.notBefore ?? 0) - Date.now();
+        if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      },
       async ({ page }) => {
         // small anti-bot mitigations
         try {
@@ -170,10 +416,16 @@ try {
           });
         } catch {}
       },
+      // replay: registered last so it is matched first - recorded documents only, no network
+      async ({ page }) => {
+        if (replaying) await page.route('**/*', fixtures.routeYelp);
+      },
     ],
+    // Idles instead of finishing while website enrichment may still free result slots
+    keepAlive: true,
     navigationTimeoutSecs: 60,
     requestHandlerTimeoutSecs: 120,
-    requestHandler: async ({ page, request, enqueueLinks, log }) => {
+    requestHandler: withStageStats(runStats, async ({ page, request, response, session, proxyInfo, enqueueLinks, log }) => {
       const label = request.userData?.label || 'SEARCH';
 
       // Try to close any cookie banners politely
@@ -187,174 +439,194 @@ try {
         }
       } catch {}
 
+      // Block detection - a CAPTCHA or an empty shell must fail the request, not produce an empty result
+      await page.waitForLoadState('domcontentloaded');
+      let blockReason = await detectBlock({ page, response });
+      if (!blockReason && label === 'SEARCH') {
+        if (!(await page.locator('a[href^="/biz/"]').count()) && !(await isNoResultsPage(page))) blockReason = 'empty-search';
+      }
+      if (!blockReason && label === 'DETAIL') {
+        if (!(await page.locator('h1, script[type="application/ld+json"]').count())) blockReason = 'empty-detail';
+      }
+      if (blockReason) {
+        if (diagnostics) recordBlockedPage(diagnostics, blockReason);
+        await failBlocked(blockReason, { page, request, response, session, proxyInfo });
+      }
+
+      if (fixtures?.mode === 'record') {
+        await fixtures.saveYelpPage({ url: request.url, finalUrl: page.url(), status: response?.status(), body: await page.content(), label });
+      }
+
       if (label === 'SEARCH') {
         await page.waitForLoadState('domcontentloaded');
-        // Find business links from search results (hrefs starting with /biz/)
+        const { query } = request.userData;
+        const progress = queryProgress(queryState, query.id);
+        if (isQueryDone(progress, maxResults)) {
+          log.info(`SEARCH page [${query.id}]: maxResults reached, skipping ${request.url}`);
+          return;
+        }
         try {
-          const linkHandles = await page.locator('a[href^="/biz/"]').elementHandles();
+          const { businessHrefs, nextHref, pageCount, strategies } = await extractSearchPage(page);
+          if (diagnostics) {
+            recordExtraction(diagnostics, 'search', { fields: { businessLinks: businessHrefs, nextPage: nextHref, pageCount }, strategies });
+          }
+
+          const candidates = [];
+          for (const href of businessHrefs) {
+            // review anchors, tracking params and sponsored variants all reduce to one alias
+            const biz = businessIdentity(href);
+            if (!biz) continue;
+            const hits = businessQueries[biz.alias] ?? {};
+            if (hits[query.id]) continue;
+            if (!Object.keys(hits).length) {
+              candidates.push({ url: biz.url, uniqueKey: biz.uniqueKey, userData: { label: 'DETAIL', query, alias: biz.alias } });
+              bump(runStats, 'search.businessesFound');
+            } else if (businessClaimant(savedBusinesses, [`alias:${biz.alias}`])) {
+              lateFoundBy[biz.alias] = true;
+            }
+            hits[query.id] = query;
+            businessQueries[biz.alias] = hits;
+          }
+
+          // Only businesses with a reserved slot are enqueued; the rest wait in the backlog
+          // in case an enqueued one ends up not being saved
           const reqs = [];
-          for (const h of linkHandles) {
-            try {
-              const href = await h.getAttribute('href');
-              if (!href) continue;
-              // ignore review links with anchors etc.
-              const full = new URL(href, 'https://www.yelp.com').toString();
-              reqs.push({ url: full, userData: { label: 'DETAIL' } });
-            } catch {}
+          for (const req of candidates) {
+            if (reserveSlot(progress, maxResults)) reqs.push(req);
+            else progress.backlog.push(req);
           }
 
-          // Pagination: 'Next' link or rel=next
-          try {
-            const next = page.locator('a[rel="next"], a.next-link, a[aria-label="Next"]');
-            if (await next.count()) {
-              const nhref = await next.first().getAttribute('href');
-              if (nhref) {
-                reqs.push({ url: new URL(nhref, 'https://www.yelp.com').toString(), userData: { label: 'SEARCH' } });
+          // Tiling: a tile whose first page shows Yelp's page cap is split into smaller tiles,
+          // which cover its whole area, so the tile itself is not paginated further
+          const { tileId, tilePage = 1 } = request.userData;
+          const tile = tileId ? tileState[tileId] : null;
+          let tileReqs = [];
+          if (tile && tilePage === 1) {
+            tile.pageCount = pageCount;
+            tile.status = 'searched';
+            if (isSaturated(pageCount)) {
+              const children = subdivideTile(tileState, tile, tilePlan.maxDepth);
+              if (children.length) {
+                tileReqs = children.map((child) => tileRequest(child, query));
+                bump(runStats, 'tiles.subdivided');
+                log.info(`Tile ${tile.id} is saturated (${pageCount} pages), split into ${children.length} tiles`);
+              } else {
+                log.warning(`Tile ${tile.id} is saturated (${pageCount} pages) and cannot be split further: ${request.url}`);
               }
             }
-          } catch {}
+          }
+
+          // Pagination: search pages go to the front of the queue so most queries have listed
+          // a business before its DETAIL page saves it (later ones end up in FOUND_BY).
+          let nextReq = null;
+          if (nextHref && tile?.status !== 'subdivided') {
+            nextReq = { url: nextHref, userData: { label: 'SEARCH', query, ...(tile ? { tileId, tilePage: tilePage + 1 } : {}) } };
+            bump(runStats, 'search.nextPage');
+          }
+
+          // With the budget fully reserved, hold the next page back until a slot frees up
+          if (nextReq && progress.saved + progress.pending >= maxResults) {
+            progress.heldSearchRequests.push(nextReq);
+            nextReq = null;
+          }
 
           if (reqs.length) await enqueueLinks({ requests: reqs });
-          log.info(`SEARCH page: enqueued ${reqs.length} items from ${request.url}`);
+          if (nextReq) await enqueueLinks({ requests: [nextReq], forefront: true });
+          if (tileReqs.length) await enqueueLinks({ requests: tileReqs, forefront: true });
+          log.info(
+            `SEARCH page [${query.id}]: enqueued ${reqs.length} businesses `
+            + `(saved ${progress.saved}, pending ${progress.pending}, max ${maxResults}) from ${request.url}`
+          );
         } catch (err) {
           log.warning(`Failed to process SEARCH page ${request.url}: ${err.message}`);
         }
       } else if (label === 'DETAIL') {
         await page.waitForLoadState('domcontentloaded');
 
+        let saved = false;
+        let handedOff = false;
+        // A failed attempt is retried by Crawlee; the slot is settled by the attempt that completes
+        // or by failedRequestHandler
+        let failed = false;
         try {
           // JSON-LD attempt
           const ld = await extractJsonLd(page);
 
-          const name = ld?.name ?? (await safeText(page.locator('h1'))) ?? null;
-
-          // phone from JSON-LD or tel: link
-          let phone = ld?.telephone ?? null;
-          if (!phone) {
-            try {
-              const tel = page.locator('a[href^="tel:"]');
-              if (await tel.count()) {
-                const href = await tel.first().getAttribute('href');
-                if (href) phone = href.replace(/^tel:/, '').trim();
-              }
-            } catch {}
-          }
-
-          // Address
-          let address = null;
-          try {
-            if (ld?.address) {
-              if (typeof ld.address === 'string') address = ld.address;
-              else {
-                const parts = [
-                  ld.address.streetAddress,
-                  ld.address.addressLocality,
-                  ld.address.addressRegion,
-                  ld.address.postalCode,
-                ].filter(Boolean);
-                address = parts.join(', ');
-              }
-            } else {
-              address = (await safeText(page.locator('address'))) ?? null;
+          // Identity + dedupe. A renamed business redirects to a new alias, so both aliases and
+          // the Yelp business ID identify it. Businesses saved already are skipped before
+          // extraction/enrichment; the claim itself is taken in saveBusiness.
+          const alias = request.userData.alias ?? parseBusinessAlias(request.url);
+          const finalAlias = parseBusinessAlias(page.url());
+          const yelpBusinessId = await extractYelpBusinessId(page);
+          const identityKeys = [alias, finalAlias].filter(Boolean).map((a) => `alias:${a}`);
+          if (yelpBusinessId) identityKeys.push(`id:${yelpBusinessId}`);
+          const claimant = businessClaimant(savedBusinesses, identityKeys);
+          if (claimant) {
+            // an earlier attempt of this request that timed out may have saved it after all
+            saved = claimant === request.uniqueKey;
+            if (!saved) {
+              log.info(`Skipping duplicate business ${alias ?? request.url} (${yelpBusinessId ?? 'no id'})`);
+              bump(runStats, 'detail.duplicate');
             }
-          } catch {}
-
-          // Categories - fallback to category links
-          let categories = [];
-          if (ld?.@type && ld?.category) {
-            categories = Array.isArray(ld.category) ? ld.category : [ld.category];
-          } else {
-            try {
-              const catHandles = await page.locator('a[href*="/search?cflt="], span[class*="category"] a').allTextContents();
-              categories = catHandles.map(t => t.trim()).filter(Boolean);
-            } catch {}
+            return;
           }
-          categories = unique(categories);
-
-          // Rating
-          let rating = null;
-          if (ld?.aggregateRating?.ratingValue) rating = Number(ld.aggregateRating.ratingValue);
-          else {
-            try {
-              const r = await page.locator('[aria-label$="star rating"], div[role="img"][aria-label*="star"]').first().getAttribute('aria-label');
-              if (r) {
-                const m = r.match(/([\d.]+)\s*star/i);
-                if (m) rating = Number(m[1]);
-              }
-            } catch {}
+          const yelpUrl = alias ? canonicalBusinessUrl(alias) : request.url;
+
+          const { fields, strategies } = await extractDetailFields(page, { ld });
+          if (diagnostics) {
+            recordExtraction(diagnostics, 'detail', {
+              fields: { ...fields, yelpBusinessId },
+              strategies: { ...strategies, yelpBusinessId: yelpBusinessId ? 'dom:biz-id' : null },
+            });
           }
+          const {
+            name, phone, addressParts, coordinates, hours, categories, rating, reviewCount, priceLevel,
+            amenities, claimed, owner, yearEstablished, specialties, history, menuUrl, photos, photoCount, serviceArea, closedStatus,
+            yelpSocialLinks,
+          } = fields;
+          let { website } = fields;
+
+          const address = formatAddress(addressParts);
+          const countryCode = addressParts?.countryCode ?? null;
+
+          // "open now" in the business's own timezone
+          const timezone = resolveTimezone({
+            countryCode,
+            region: addressParts?.region,
+            latitude: coordinates?.latitude,
+            longitude: coordinates?.longitude,
+          });
+          const { isOpenNow, nextOpenAt } = evaluateOpenStatus(hours, timezone);
 
-          // Review count
-          let reviewCount = null;
-          try {
-            const rcText = await safeText(page.locator('p:has-text("reviews"), a[href$="#reviews"], span:has-text("reviews")'));
-            if (rcText) {
-              const num = rcText.replace(/[^\d]/g, '');
-              if (num) reviewCount = Number(num);
-            }
-          } catch {}
-
-          // Website detection - direct link text patterns, or yelp redirect
-          let website = null;
-          try {
-            const siteSelectors = [
-              'a[href^="http"]:has-text("Website")',
-              'a:has-text("Business website")',
-              'a:has-text("Visit website")',
-              'a[href*="biz_redir?url="]',
-            ];
-            for (const sel of siteSelectors) {
-              try {
-                const loc = page.locator(sel);
-                if (await loc.count()) {
-                  const href = await loc.first().getAttribute('href');
-                  if (!href) continue;
-                  // If it's a redirect via query param
-                  if (href.includes('biz_redir') || href.includes('redirect')) {
-                    try {
-                      const u = new URL(href, 'https://www.yelp.com');
-                      const real = u.searchParams.get('url') || u.searchParams.get('u');
-                      if (real) {
-                        website = decodeURIComponent(real);
-                        break;
-                      }
-                    } catch {}
-                  } else {
-                    // absolute URL usually
-                    try {
-                      website = new URL(href, 'https://www.yelp.com').toString();
-                      break;
-                    } catch {}
-                  }
-                }
-              } catch {}
-            }
-          } catch {}
-
-          // Price level
-          let priceLevel = null;
-          try {
-            const pl = await safeText(page.locator('span:has-text("$"), span.price-range'));
-            if (pl) priceLevel = pl.trim();
-          } catch {}
-
-          // Build item & optionally fetch contacts from external website
-          let contacts = { emails: [], phones: [], socialLinks: [] };
+          // canonicalize to origin when possible (so we try homepage + contact paths)
+          let websiteIsUrl = false;
           if (website) {
-            // canonicalize to origin when possible (so we try homepage + contact paths)
             try {
               const u = new URL(website);
-              const origin = `${u.protocol}//${u.hostname}`;
-              // fetch only if enabled
-              if (fetchContactsFromWebsite) {
-                contacts = await fetchWebsiteAndContacts(origin, contactPagePaths);
-              }
-              website = origin;
+              website = `${u.protocol}//${u.hostname}`;
+              websiteIsUrl = true;
             } catch {
               // keep website as-is if URL parsing fails
             }
           }
 
+          // Incremental mode: compare the Yelp-side fields first, so unchanged businesses
+          // can be dropped before paying for website enrichment
+          const fingerprintKey = alias ?? yelpUrl;
+          const previous = fingerprints && skipUnchanged ? await fingerprints.get(fingerprintKey) : null;
+          if (previous) {
+            const yelpFields = pickFingerprintFields({ rating, reviewCount, phone, website, address }, YELP_FINGERPRINT_FIELDS);
+            if (!Object.keys(diffFields(previous.fields, yelpFields, YELP_FINGERPRINT_FIELDS)).length) {
+              log.info(`Unchanged since last run, skipping: ${name ?? '(no-name)'} | ${yelpUrl}`);
+              bump(runStats, 'detail.unchanged');
+              return;
+            }
+          }
+
+          // Phones - normalize against the business country (proxy country as fallback)
+          const yelpPhone = parsePhone(phone, countryCode ?? proxyCountryCode);
+
+          // The Yelp part of the record; website contacts are filled in by saveBusiness
           const item = {
             scrapedAt: new Date().toISOString(),
             name,
@@ -363,40 +635,229 @@ try {
             reviewCount: reviewCount ?? null,
             priceLevel,
             phone,
+            phoneE164: yelpPhone?.e164 ?? null,
+            phoneNational: yelpPhone?.national ?? null,
             address,
-            yelpUrl: request.url,
+            addressParts,
+            countryCode,
+            latitude: coordinates?.latitude ?? null,
+            longitude: coordinates?.longitude ?? null,
+            hours,
+            timezone,
+            isOpenNow,
+            nextOpenAt,
+            closedStatus,
+            claimed,
+            owner,
+            yearEstablished,
+            specialties,
+            history,
+            amenities,
+            menuUrl,
+            photos,
+            photoCount,
+            serviceArea,
+            yelpUrl,
+            alias,
+            yelpBusinessId,
             website,
-            emails: contacts.emails,
-            phonesFromWebsite: contacts.phones,
-            socialLinks: contacts.socialLinks,
+            websiteRedirectsTo: null,
+            emails: [],
+            emailDetails: [],
+            bestEmail: null,
+            phonesFromWebsite: [],
+            // Yelp-listed profiles for now; saveBusiness merges in the website's
+            social: selectSocialProfiles((yelpSocialLinks ?? []).map((url) => ({ url, source: 'yelp' })), { businessName: name }),
+            websitePagesVisited: [],
+            contactsFetchedVia: null,
+            foundBy: [],
+            changeStatus: null,
+            changes: null,
+            // caller-supplied fields of a directly requested business (helpers/business-input.js)
+            passthrough: request.userData.passthrough ?? null,
           };
 
-          await Dataset.pushData(item);
-          log.info(`Saved: ${name ?? '(no-name)'} | ${request.url}`);
+          bump(runStats, websiteIsUrl ? 'detail.withWebsite' : 'detail.withoutWebsite');
+
+          // Cheap filters on the Yelp fields, before website enrichment is paid for
+          const rejectedBy = rejectingFilter(filters, item, 'yelp');
+          if (rejectedBy) {
+            log.info(`Filtered out (${rejectedBy}): ${name ?? '(no-name)'} | ${yelpUrl}`);
+            bump(runStats, `filter.${rejectedBy}`);
+            return;
+          }
+
+          // Website enrichment runs in its own HTTP stage, which saves the merged record
+          // and settles this business's result slot
+          if (websiteIsUrl && fetchContactsFromWebsite) {
+            await enrichmentQueue.addRequest(
+              buildEnrichmentRequest(item, { query: request.userData.query, identityKeys, detailKey: request.uniqueKey })
+            );
+            handedOff = true;
+            log.info(`Queued for website enrichment: ${name ?? '(no-name)'} | ${website}`);
+            return;
+          }
+
+          saved = await saveBusiness(item, NO_CONTACTS, request, identityKeys);
         } catch (err) {
-          log.warning(`ERROR processing DETAIL ${request.url}: ${err.message}`);
+          failed = true;
+          throw err;
+        } finally {
+          if (!handedOff && !failed) await settleDetail(request, saved);
         }
+      } else if (label === 'REVIEWS') {
+        await handleReviewsPage({ page, request, enqueueLinks, log, input: reviewsInput });
       }
-    },
-    failedRequestHandler: async ({ request, error, page }) => {
+    }),
+    failedRequestHandler: async ({ request, error, page, response, session, proxyInfo }) => {
       log.warning(`Request failed: ${request.url} - ${error?.message ?? 'no error obj'}`);
-      if (debugScreenshots && page) {
-        try {
-          const path = `storage/${Date.now()}_fail.png`;
-          await page.screenshot({ path, fullPage: true }).catch(() => {});
-          log.info(`Saved failure screenshot to ${path}`);
-        } catch {}
+      // before the failed record, which links the bundle
+      if (captureDebugBundle) {
+        await captureDebugBundle({ page, request, response, session, proxyInfo, error, reason: 'failed' }).catch(() => null);
       }
+      await recordFailedRequest(request, error);
+      if (request.userData?.label === 'DETAIL') await settleDetail(request, false);
     },
   });
 
-  // Seed the crawler
-  await crawler.addRequests([{ url: startUrl, userData: { label: 'SEARCH' } }]);
+  // Website enrichment stage: plain HTTP, its own queue and concurrency, polite per domain.
+  // A business always ends up saved once, with or without contacts.
+  const enrichmentCrawler = new BasicCrawler({
+    requestQueue: enrichmentQueue,
+    maxConcurrency: websiteConcurrency,
+    keepAlive: true,
+    useSessionPool: false,
+    maxRequestRetries: 1,
+    // the per-site time budget, plus one slow request and a browser render on top
+    requestHandlerTimeoutSecs:
+      websiteTimeBudgetSecs + Math.ceil(websiteRequestTimeoutMs / 1000) + (browserFallback ? browserFallbackTimeoutSecs : 0) + 15,
+    requestHandler: withStageStats(runStats, async ({ request }) => {
+      const { item } = request.userData;
+      const contacts = await fetchWebsiteAndContacts(item.website, contactPagePaths, {
+        timeoutMs: websiteRequestTimeoutMs,
+        maxPages: websiteMaxPages,
+        timeBudgetMs: websiteTimeBudgetSecs * 1000,
+        useSitemap: websiteUseSitemap,
+        renderPage,
+        throttle,
+        httpGet,
+      });
+      bump(runStats, 'enrichment.attempted');
+      bump(runStats, 'enrichment.pagesVisited', contacts.pagesVisited.length);
+      if (contacts.emails.length) bump(runStats, 'enrichment.withEmail');
+      if (contacts.phones.length) bump(runStats, 'enrichment.withPhone');
+      if (contacts.socialLinks.length) bump(runStats, 'enrichment.withSocial');
+      if (contacts.emails.length || contacts.phones.length || contacts.socialLinks.length) bump(runStats, 'enrichment.withAnyContact');
+      if (contacts.fetchedVia?.includes('browser')) bump(runStats, 'enrichment.viaBrowser');
+      const saved = await saveBusiness(item, contacts, request, request.userData.identityKeys);
+      await settleDetail(request, saved);
+    }),
+    failedRequestHandler: async ({ request, error }) => {
+      log.warning(`Website enrichment failed for ${request.url}: ${error?.message ?? 'no error obj'}`);
+      bump(runStats, 'enrichment.failed');
+      if (captureDebugBundle) await captureDebugBundle({ request, error, reason: 'failed' }).catch(() => null);
+      await recordFailedRequest(request, error);
+      let saved = false;
+      try {
+        saved = await saveBusiness(request.userData.item, NO_CONTACTS, request, request.userData.identityKeys);
+      } finally {
+        await settleDetail(request, saved);
+      }
+    },
+  });
+
+  // Seed the crawler: one SEARCH per query, or the first page of each of its tiles,
+  // or the DETAIL pages of directly requested businesses
+  let seeds;
+  if (directBusinesses) seeds = directBusinesses.map(businessDetailRequest);
+  else if (tilePlan) seeds = tilePlan.tiles.map((tile) => tileRequest(tile, queries.find((q) => q.id === tile.queryId)));
+  else seeds = queries.map((query) => ({ url: query.url, userData: { label: 'SEARCH', query } }));
+  await crawler.addRequests(seeds);
+
+  // Run both stages; the run is done only when Yelp pages and website enrichment have both drained
+  await runUntilDrained([crawler, enrichmentCrawler]);
+  await enrichmentQueue.drop().catch(() => {});
+  await browserRenderer?.close();
+
+  // Businesses listed by more queries after they were saved: their complete foundBy
+  const lateAliases = Object.keys(lateFoundBy);
+  if (lateAliases.length) {
+    await Actor.setValue('FOUND_BY', lateAliases.map((alias) => ({
+      yelpUrl: canonicalBusinessUrl(alias),
+      alias,
+      foundBy: foundByOf(Object.values(businessQueries[alias] ?? {})),
+    })));
+    log.info(`${lateAliases.length} businesses were listed by more queries after they were saved, see the FOUND_BY record`);
+  }
+  if (blockStats.total) {
+    log.warning(`Yelp blocked ${blockStats.total} requests: ${JSON.stringify(blockStats.byReason)}, `
+      + `${Object.keys(blockStats.bySession).length} sessions retired`);
+  }
+
+  // CRM export: flattened CSV, vCards and HubSpot / Salesforce import files from the dataset
+  if (exportFormats.length) {
+    try {
+      await exportDataset({ formats: exportFormats, columns: exportColumns });
+    } catch (err) {
+      log.error(`CRM export failed: ${err.message}`);
+    }
+  }
+
+  // Send what is left in the webhook buffer so RUN_SUMMARY has the final delivery counts
+  if (webhookSink) {
+    await webhookSink.flush();
+    const { sent, items, deadLettered } = webhookSink.stats;
+    log.info(`Webhook: ${items} businesses in ${sent} batches delivered${deadLettered ? `, ${deadLettered} batches dead-lettered` : ''}`);
+  }
+
+  const summary = buildRunSummary(runStats, {
+    blockStats,
+    queries,
+    queryState,
+    tiles: tilePlan ? summarizeTiles(tileState) : null,
+    webhook: webhookSink?.stats ?? null,
+  });
+  await Actor.setValue('RUN_SUMMARY', summary);
+  if (summary.tiles?.saturated.length) {
+    log.warning(`${summary.tiles.saturated.length} of ${summary.tiles.searched} searched tiles hit Yelp's result cap `
+      + 'and may be missing businesses (see tiles.saturated in RUN_SUMMARY)');
+  }
+
+  // Fixtures: write the expected items (record) or compare the replayed items with them
+  if (fixtures) {
+    const result = await fixtures.finish();
+    await Actor.setValue('FIXTURES_REPORT', result);
+    if (result.written) log.info(`Fixtures: ${result.items} expected items written to ${result.written}`);
+    else if (!result.diff) log.warning('Fixtures: no expected-items.json to compare against');
+    else if (result.diff.ok) log.info(`Fixtures: all ${result.items} replayed items match the expected output`);
+    else {
+      const message = `Fixture replay differs from the expected output: ${result.diff.missing.length} missing, `
+        + `${result.diff.unexpected.length} unexpected, ${Object.keys(result.diff.changed).length} changed items (see FIXTURES_REPORT)`;
+      log.error(message);
+      await Actor.fail(message);
+    }
+  }
 
-  // Run
-  await crawler.run();
-  log.info('Crawl finished. Check Dataset tab for results.');
+  // Diagnostic mode: publish the selector report and fail the run when a field's hit rate is too low
+  if (diagnostics) {
+    const report = buildDiagnosticsReport(diagnostics, { ...DEFAULTS.DIAGNOSTIC_THRESHOLDS, ...diagnosticThresholds });
+    await Actor.setValue('DIAGNOSTICS', report);
+    for (const [field, f] of Object.entries(report.fields)) {
+      log.info(`Diagnostics ${field}: ${f.filled}/${f.pages} via ${JSON.stringify(f.strategies)} e.g. ${f.samples[0] ?? '-'}`);
+    }
+    if (!report.ok) {
+      const message = describeFailures(report.failures);
+      log.error(message);
+      await Actor.fail(message);
+    }
+  }
+  log.info(
+    `Crawl finished: ${summary.businesses.saved} businesses saved, ${summary.search.pages} search pages, `
+    + `${Object.values(summary.failures).reduce((n, f) => n + f.count, 0)} failed requests. `
+    + 'See RUN_SUMMARY in the key-value store and the Dataset tab for results.'
+  );
 
 } finally {
+  await webhookSink?.flush().catch((err) => log.error(`Webhook flush failed: ${err.message}`));
   await Actor.exit();
 }
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addressFromJsonLd,
+  addressFromLines,
+  coordinatesFromMapUrl,
+  coordinatesFromPageState,
+  countryFromYelpHost,
+  formatAddress,
+  normalizeAddressParts,
+  normalizeCountryCode,
+} from '../src/helpers/address.js';
+import { findBusinessNode } from '../src/helpers/page-state.js';
+
+test('US address lines become normalized parts', () => {
+  const parts = normalizeAddressParts(addressFromLines(['123 Main St', 'Suite 4', 'San Francisco, California 94103']));
+  assert.deepEqual(parts, { street: '123 Main St, Suite 4', city: 'San Francisco', region: 'CA', postalCode: '94103', countryCode: 'US' });
+  assert.equal(formatAddress(parts), '123 Main St, Suite 4, San Francisco, CA, 94103');
+});
+
+test('single-line, Canadian, UK and EU address forms', () => {
+  assert.deepEqual(addressFromLines(['123 Main St, Austin, TX 78701']), { street: '123 Main St', city: 'Austin', region: 'TX', postalCode: '78701' });
+  assert.deepEqual(normalizeAddressParts(addressFromLines(['1 King St W', 'Toronto, ON m5h1a1'])), {
+    street: '1 King St W', city: 'Toronto', region: 'ON', postalCode: 'M5H 1A1', countryCode: 'CA',
+  });
+  assert.equal(normalizeAddressParts(addressFromLines(['10 Downing St', 'London SW1A 2AA'])).countryCode, 'GB');
+  assert.deepEqual(addressFromLines(['Unter den Linden 1', '10117 Berlin']), { street: 'Unter den Linden 1', city: 'Berlin', region: null, postalCode: '10117' });
+});
+
+test('JSON-LD PostalAddress maps onto the same parts', () => {
+  const parts = normalizeAddressParts(addressFromJsonLd({
+    streetAddress: '123 Main St', addressLocality: 'Austin', addressRegion: 'Texas', postalCode: '78701', addressCountry: 'United States',
+  }));
+  assert.deepEqual(parts, { street: '123 Main St', city: 'Austin', region: 'TX', postalCode: '78701', countryCode: 'US' });
+});
+
+test('country codes from names, objects and Yelp hosts', () => {
+  assert.equal(normalizeCountryCode('us'), 'US');
+  assert.equal(normalizeCountryCode({ name: 'Deutschland' }), 'DE');
+  assert.equal(normalizeCountryCode('Atlantis'), null);
+  assert.equal(normalizeCountryCode('UK'), 'GB');
+  assert.equal(normalizeCountryCode('ca'), 'CA');
+  assert.equal(countryFromYelpHost('https://www.yelp.co.uk/biz/x'), 'GB');
+  assert.equal(countryFromYelpHost('not a url'), null);
+});
+
+test('coordinates from map URLs and page state', () => {
+  assert.deepEqual(coordinatesFromMapUrl('https://maps.example/staticmap?center=37.78%2C-122.41&zoom=15'), { latitude: 37.78, longitude: -122.41 });
+  assert.deepEqual(coordinatesFromMapUrl('https://www.google.com/maps/@51.5,-0.12,15z'), { latitude: 51.5, longitude: -0.12 });
+  assert.deepEqual(coordinatesFromPageState({ alias: 'acme', location: { latitude: 40.7, longitude: -74.0 } }), { latitude: 40.7, longitude: -74 });
+  assert.equal(coordinatesFromPageState(null), null);
+  assert.equal(coordinatesFromMapUrl('https://example.com/'), null);
+});
+
+test('page-state coordinates come from the business node, not the first pair in the state', () => {
+  const states = [
+    {
+      ads: [{ alias: 'sponsored-plumber', name: 'Sponsored', coordinates: { latitude: 37.1, longitude: -122.1 } }],
+      business: { alias: 'acme-plumbing-sf', name: 'Acme Plumbing', map: { latitude: 37.78, longitude: -122.41 } },
+    },
+  ];
+  const byAlias = findBusinessNode(states, { alias: 'acme-plumbing-sf' });
+  assert.deepEqual(coordinatesFromPageState(byAlias), { latitude: 37.78, longitude: -122.41 });
+  assert.equal(findBusinessNode(states, { name: 'acme plumbing' }), byAlias);
+  // another location of a chain shares the name but not the alias
+  assert.equal(findBusinessNode(states, { alias: 'acme-plumbing-oakland', name: 'Acme Plumbing' }), null);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { businessDetailRequest, hasBusinessInput, loadBusinessInput, parseBusinessEntry } from '../src/helpers/business-input.js';
+
+test('hasBusinessInput is true for any direct business source', () => {
+  assert.ok(!hasBusinessInput({ businesses: [] }));
+  assert.ok(hasBusinessInput({ businesses: ['joes-plumbing-san-francisco'] }));
+  assert.ok(hasBusinessInput({ businessesDatasetId: 'previous-run' }));
+  assert.ok(hasBusinessInput({ businessesRecord: 'store/BUSINESSES' }));
+});
+
+test('parseBusinessEntry accepts URLs, host-only URLs and aliases', () => {
+  const alias = 'joes-plumbing-san-francisco';
+  for (const entry of [alias, `https://www.yelp.com/biz/${alias}?osq=plumber`, `www.yelp.com/biz/${alias}`, ` ${alias} `]) {
+    assert.equal(parseBusinessEntry(entry)?.alias, alias, entry);
+  }
+  assert.equal(parseBusinessEntry('https://example.com/biz/joes'), null);
+  assert.equal(parseBusinessEntry('joes plumbing'), null);
+  assert.equal(parseBusinessEntry({ name: 'no url' }), null);
+});
+
+test('object entries copy no fields unless passthroughFields names them', () => {
+  const entry = { yelpUrl: 'https://www.yelp.com/biz/joes-plumbing-san-francisco', crmId: 'A-17', emails: ['x@y.com'], owner: 'Joe' };
+  assert.equal(parseBusinessEntry(entry).passthrough, null);
+  assert.deepEqual(parseBusinessEntry(entry, ['crmId', 'missing']).passthrough, { crmId: 'A-17' });
+});
+
+test('loadBusinessInput dedupes by alias and reports invalid entries', async () => {
+  const { businesses, invalid } = await loadBusinessInput({
+    businesses: ['joes-plumbing-san-francisco', 'https://www.yelp.com/biz/joes-plumbing-san-francisco', '', 'not a business', { crmId: 1 }],
+  });
+  assert.deepEqual(businesses.map((b) => b.alias), ['joes-plumbing-san-francisco']);
+  assert.deepEqual(invalid, ['not a business', { crmId: 1 }]);
+});
+
+test('businessDetailRequest has no query, so maxResults does not apply', () => {
+  const request = businessDetailRequest(parseBusinessEntry({ alias: 'joes-plumbing-san-francisco', crmId: 'A-17' }, ['crmId']));
+  assert.equal(request.url, 'https://www.yelp.com/biz/joes-plumbing-san-francisco');
+  assert.deepEqual(request.userData, { label: 'DETAIL', alias: 'joes-plumbing-san-francisco', passthrough: { crmId: 'A-17' } });
+});
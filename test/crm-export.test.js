@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HUBSPOT_MAPPING, compileMapping, flattenItem, mapItem, toCsv, toVCard } from '../src/helpers/crm-export.js';
+
+const item = {
+  name: 'Acme Plumbing',
+  phone: '(415) 362-0134',
+  phoneE164: '+14153620134',
+  emails: ['info@acme.com', 'joe@acme.com'],
+  emailDetails: [{ email: 'info@acme.com', confidence: 0.9 }, { email: 'joe@acme.com', confidence: 0.6 }],
+  bestEmail: null,
+  categories: ['Plumbing', 'Water Heaters'],
+  addressParts: { street: '123 Market St', city: 'San Francisco', region: 'CA', postalCode: '94103', countryCode: 'US' },
+  social: { facebook: 'https://www.facebook.com/AcmePlumbing', x: null },
+  owner: null,
+  rating: 4.5,
+  reviewCount: 87,
+};
+
+test('compileMapping reads paths, array elements, firstOf, constants and defaults', () => {
+  const columns = compileMapping({
+    Company: 'name',
+    City: 'addressParts.city',
+    'All emails': 'emailDetails[].email',
+    'Second email': 'emails[1]',
+    Email: { firstOf: ['bestEmail', 'emails'] },
+    Tags: { path: 'categories', join: ', ' },
+    Source: { value: 'Yelp' },
+    Owner: { path: 'owner.name', default: 'Unknown' },
+  });
+  assert.deepEqual(mapItem(columns, item), {
+    Company: 'Acme Plumbing',
+    City: 'San Francisco',
+    'All emails': 'info@acme.com; joe@acme.com',
+    'Second email': 'joe@acme.com',
+    Email: 'info@acme.com',
+    Tags: 'Plumbing, Water Heaters',
+    Source: 'Yelp',
+    Owner: 'Unknown',
+  });
+});
+
+test('compileMapping rejects invalid sources with the column name', () => {
+  assert.throws(() => compileMapping(['name']), /exportFieldMapping must be an object/);
+  assert.throws(() => compileMapping({ Company: { join: ', ' } }), /exportFieldMapping "Company": needs "path"/);
+  assert.throws(() => compileMapping({ Company: 'name..x' }), /invalid path/);
+});
+
+test('the HubSpot mapping fills the phone and email columns', () => {
+  const row = mapItem(compileMapping(HUBSPOT_MAPPING), item);
+  assert.equal(row['Phone Number'], '+14153620134');
+  assert.equal(row.Email, 'info@acme.com');
+  assert.equal(row['Twitter Handle'], '');
+});
+
+test('the HubSpot Twitter Handle column holds the handle, not the profile URL', () => {
+  const row = mapItem(compileMapping(HUBSPOT_MAPPING), { ...item, social: { ...item.social, x: 'https://x.com/AcmePlumbing' } });
+  assert.equal(row['Twitter Handle'], 'AcmePlumbing');
+  const [column] = compileMapping({ Handles: { path: 'socialLinks[].url', handle: true } });
+  assert.equal(column.get({ socialLinks: [{ url: 'https://www.instagram.com/acme_sf/' }, { url: 'not a profile' }] }), 'acme_sf');
+});
+
+test('flattenItem turns nested objects into dotted columns', () => {
+  const row = flattenItem(item);
+  assert.equal(row['addressParts.city'], 'San Francisco');
+  assert.equal(row['social.facebook'], 'https://www.facebook.com/AcmePlumbing');
+  assert.equal(row.emailDetails, 'info@acme.com; joe@acme.com');
+  assert.equal(row.owner, '');
+});
+
+test('toCsv quotes cells with commas, quotes and line breaks', () => {
+  const csv = toCsv([{ name: 'Acme, Inc.', note: 'say "hi"\nbye' }]);
+  assert.equal(csv, 'name,note\r\n"Acme, Inc.","say ""hi""\nbye"');
+});
+
+test('toCsv prefixes cells a spreadsheet would run as a formula', () => {
+  const rows = [{ a: '=HYPERLINK("http://evil.example")', b: '+1+cmd|calc', c: '-2+3', d: '@SUM(A1)', e: 'fine' }];
+  assert.equal(toCsv(rows), 'a,b,c,d,e\r\n"\'=HYPERLINK(""http://evil.example"")",\'+1+cmd|calc,\'-2+3,\'@SUM(A1),fine');
+  assert.equal(toCsv([{ a: '\t=1+2', b: '\r@SUM(A1)' }]), 'a,b\r\n\'\t=1+2,"\'\r@SUM(A1)"');
+  // plain numbers cannot hold a formula
+  assert.equal(toCsv([{ phone: '+14153620134', longitude: '-122.4193' }]), 'phone,longitude\r\n+14153620134,-122.4193');
+});
+
+const unfold = (card) => card.replace(/\r\n /g, '');
+const octets = (line) => Buffer.byteLength(line);
+
+test('toVCard escapes values and lists every contact', () => {
+  const card = toVCard({ ...item, name: 'Acme; Plumbing, Inc.' });
+  const lines = unfold(card).split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCARD');
+  assert.ok(lines.includes('FN:Acme\\; Plumbing\\, Inc.'));
+  assert.ok(lines.includes('TEL;TYPE=WORK,VOICE:+14153620134'));
+  assert.ok(lines.includes('EMAIL;TYPE=INTERNET,WORK,PREF:info@acme.com'));
+  assert.ok(lines.includes('ADR;TYPE=WORK:;;123 Market St;San Francisco;CA;94103;US'));
+  assert.ok(lines.includes('X-SOCIALPROFILE;TYPE=facebook:https://www.facebook.com/AcmePlumbing'));
+  assert.equal(lines.at(-1), 'END:VCARD');
+});
+
+test('toVCard folds lines at 75 octets without splitting a character', () => {
+  const name = 'Café Zürich — 寿司 & Ramen 🍜 '.repeat(6).trim();
+  const card = toVCard({ name, yelpUrl: 'https://www.yelp.com/biz/cafe-zurich' });
+  for (const line of card.split('\r\n')) assert.ok(octets(line) <= 75, `${octets(line)} octets: ${line}`);
+  assert.ok(!card.includes('�'));
+  assert.ok(unfold(card).split('\r\n').includes(`FN:${name}`));
+  // the folds fall on the 75-octet limit whenever the next character fits
+  const fn = card.split('\r\n').find((l) => l.startsWith('FN:'));
+  assert.ok(octets(fn) > 71);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeCfEmail,
+  domainMatchesWebsite,
+  emailType,
+  extractEmailCandidates,
+  isJunkEmail,
+  pickBestEmail,
+  scoreEmails,
+} from '../src/helpers/emails.js';
+
+const cfEncode = (email, key = 0x42) =>
+  key.toString(16).padStart(2, '0') + [...email].map((c) => (c.charCodeAt(0) ^ key).toString(16).padStart(2, '0')).join('');
+
+test('extractEmailCandidates finds mailto, Cloudflare, text and obfuscated addresses', () => {
+  const html = `
+    <a href="mailto:Info@AcmePlumbing.com?subject=Hi">Email</a>
+    <span data-cfemail="${cfEncode('office@acmeplumbing.com')}"></span>
+    <p>Write to sales&#64;acmeplumbing.com.</p>
+    <p>owner [at] acmeplumbing [dot] com</p>
+    <script>var x = "dev@scripts.example.net";</script>`;
+  assert.deepEqual(extractEmailCandidates(html), [
+    { email: 'info@acmeplumbing.com', source: 'mailto' },
+    { email: 'office@acmeplumbing.com', source: 'cfemail' },
+    { email: 'sales@acmeplumbing.com', source: 'text' },
+    { email: 'owner@acmeplumbing.com', source: 'obfuscated' },
+  ]);
+});
+
+test('decodeCfEmail decodes and rejects malformed input', () => {
+  assert.equal(decodeCfEmail(cfEncode('a@b.co')), 'a@b.co');
+  assert.equal(decodeCfEmail('xyz'), null);
+});
+
+test('isJunkEmail drops assets, vendors, hashes and no-reply', () => {
+  for (const email of ['logo@2x.png', 'abc@sentry.wixpress.com', '0123456789abcdef0123@ingest.sentry.io', 'noreply@acme.com', 'u003einfo@acme.com']) {
+    assert.ok(isJunkEmail(email), email);
+  }
+  assert.ok(!isJunkEmail('info@acme.com'));
+});
+
+test('emailType and domainMatchesWebsite', () => {
+  assert.equal(emailType('info@acme.com'), 'role');
+  assert.equal(emailType('jane.doe@acme.com'), 'personal');
+  assert.ok(domainMatchesWebsite('info@acme.com', 'https://www.acme.com'));
+  assert.ok(domainMatchesWebsite('info@mail.acme.com', 'https://acme.com'));
+  assert.ok(!domainMatchesWebsite('info@other.com', 'https://acme.com'));
+});
+
+test('scoreEmails ranks on-domain and repeated addresses first', () => {
+  const scored = scoreEmails([
+    { email: 'someone@gmail.com', source: 'text' },
+    { email: 'info@acme.com', source: 'text' },
+    { email: 'info@acme.com', source: 'mailto', sourceUrl: 'https://acme.com/contact' },
+  ], { website: 'https://acme.com' });
+  assert.deepEqual(scored.map((e) => [e.email, e.confidence, e.source]), [
+    ['info@acme.com', 1, 'mailto'],
+    ['someone@gmail.com', 0.55, 'text'],
+  ]);
+  assert.equal(scored[0].sourceUrl, 'https://acme.com/contact');
+});
+
+test('pickBestEmail skips low-confidence off-domain addresses', () => {
+  const website = 'https://acme.com';
+  assert.equal(pickBestEmail(scoreEmails([{ email: 'widget@chatvendor.io', source: 'text' }], { website })), null);
+  assert.equal(pickBestEmail(scoreEmails([{ email: 'acmeplumbing@gmail.com', source: 'mailto' }], { website })), 'acmeplumbing@gmail.com');
+  assert.equal(pickBestEmail(scoreEmails([{ email: 'hi@acme.com', source: 'obfuscated' }], { website })), 'hi@acme.com');
+  assert.equal(pickBestEmail([]), null);
+});
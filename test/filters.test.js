@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilters, priceTier, rejectingFilter } from '../src/helpers/filters.js';
+
+test('priceTier counts repeated currency symbols', () => {
+  assert.equal(priceTier('$$'), 2);
+  assert.equal(priceTier('€€€'), 3);
+  assert.equal(priceTier(' £ '), 1);
+  assert.equal(priceTier('$€'), 1);
+  assert.equal(priceTier('cheap'), null);
+  assert.equal(priceTier(null), null);
+});
+
+test('buildFilters with no filter input is empty', () => {
+  assert.deepEqual(buildFilters({}), []);
+  assert.deepEqual(buildFilters({ minRating: '', priceLevels: [], includeCategories: [' '] }), []);
+});
+
+test('minRating accepts a string and rejects a missing rating', () => {
+  const filters = buildFilters({ minRating: '4.5' });
+  assert.equal(rejectingFilter(filters, { rating: 4.5 }, 'yelp'), null);
+  assert.equal(rejectingFilter(filters, { rating: 4 }, 'yelp'), 'minRating');
+  assert.equal(rejectingFilter(filters, { rating: null }, 'yelp'), 'minRating');
+});
+
+test('minReviewCount of 0 still requires a review count', () => {
+  const filters = buildFilters({ minReviewCount: 0 });
+  assert.equal(rejectingFilter(filters, { reviewCount: 0 }, 'yelp'), null);
+  assert.equal(rejectingFilter(filters, {}, 'yelp'), 'minReviewCount');
+});
+
+test('priceLevels match the tier, whatever the currency', () => {
+  const filters = buildFilters({ priceLevels: ['$', '$$'] });
+  assert.equal(rejectingFilter(filters, { priceLevel: '€€' }, 'yelp'), null);
+  assert.equal(rejectingFilter(filters, { priceLevel: '$$$' }, 'yelp'), 'priceLevels');
+  assert.equal(rejectingFilter(filters, { priceLevel: null }, 'yelp'), 'priceLevels');
+});
+
+test('category filters match case-insensitive substrings', () => {
+  const filters = buildFilters({ includeCategories: ['Plumb'], excludeCategories: ['water heater'] });
+  assert.equal(rejectingFilter(filters, { categories: ['Plumbing'] }, 'yelp'), null);
+  assert.equal(rejectingFilter(filters, { categories: ['Electricians'] }, 'yelp'), 'includeCategories');
+  assert.equal(rejectingFilter(filters, { categories: ['Plumbing', 'Water Heater Installation/Repair'] }, 'yelp'), 'excludeCategories');
+});
+
+test('requireEmail rejects a business without a website before enrichment', () => {
+  const filters = buildFilters({ requireEmail: true });
+  assert.equal(rejectingFilter(filters, { website: null }, 'yelp'), 'requireEmail');
+  assert.equal(rejectingFilter(filters, { website: 'https://acme.com' }, 'yelp'), null);
+  assert.equal(rejectingFilter(filters, { website: 'https://acme.com', emails: [] }, 'website'), 'requireEmail');
+  assert.equal(rejectingFilter(filters, { website: 'https://acme.com', emails: ['info@acme.com'] }, 'website'), null);
+});
+
+test('rejectingFilter only runs the filters of the given stage', () => {
+  const filters = buildFilters({ requireWebsite: true, requireEmail: true });
+  assert.equal(rejectingFilter(filters, { website: 'https://acme.com' }, 'website'), 'requireEmail');
+  assert.equal(rejectingFilter(filters, { website: null, emails: ['a@b.com'] }, 'website'), null);
+});
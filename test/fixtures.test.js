@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparableItem, normalizeFixtureUrl, stripYelpScripts } from '../src/crawler/fixtures.js';
+
+test('normalizeFixtureUrl drops the hash and sorts query parameters', () => {
+  assert.equal(
+    normalizeFixtureUrl('https://www.yelp.com/search?find_loc=SF&find_desc=plumber#top'),
+    'https://www.yelp.com/search?find_desc=plumber&find_loc=SF'
+  );
+});
+
+test('stripYelpScripts drops executable scripts and keeps the ones extractors read', () => {
+  const html = [
+    '<script src="/app.js"></script>',
+    '<script>window.location = "/elsewhere";</script>',
+    '<script type="application/ld+json">{"@type":"LocalBusiness"}</script>',
+    '<script type="application/json" data-apollo-state>{"a":1}</script>',
+    '<script data-hypernova-key="biz"><!--{"isClaimed":true}--></script>',
+  ].join('');
+  assert.equal(
+    stripYelpScripts(html),
+    '<script type="application/ld+json">{"@type":"LocalBusiness"}</script>'
+      + '<script type="application/json" data-apollo-state>{"a":1}</script>'
+      + '<script type="application/json" data-hypernova-key="biz"><!--{"isClaimed":true}--></script>'
+  );
+});
+
+test('stripYelpScripts makes typed hypernova scripts inert', () => {
+  assert.equal(
+    stripYelpScripts('<script type="text/javascript" data-hypernova-key="biz">{}</script>'),
+    '<script type="application/json" data-hypernova-key="biz">{}</script>'
+  );
+});
+
+test('comparableItem drops volatile fields and sorts foundBy', () => {
+  const item = comparableItem({
+    name: 'Acme',
+    scrapedAt: '2026-01-01T00:00:00.000Z',
+    isOpenNow: true,
+    foundBy: [{ searchUrl: 'https://www.yelp.com/search?b' }, { searchUrl: 'https://www.yelp.com/search?a' }],
+  });
+  assert.deepEqual(item, {
+    name: 'Acme',
+    foundBy: [{ searchUrl: 'https://www.yelp.com/search?a' }, { searchUrl: 'https://www.yelp.com/search?b' }],
+  });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateOpenStatus, parseClockTime, parseDomHours, parseHoursText, parseJsonLdHours } from '../src/helpers/hours.js';
+import { resolveTimezone } from '../src/helpers/timezones.js';
+
+// Wednesday 2024-06-05 15:00 UTC: 11:00 in New York, 08:00 in Los Angeles
+const NOW = new Date('2024-06-05T15:00:00Z');
+const nineToFive = { weekly: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map((d) => [d, [{ open: '09:00', close: '17:00', overnight: false }]])), special: [] };
+
+test('parseClockTime handles 12-hour and 24-hour times', () => {
+  assert.equal(parseClockTime('9:00 AM'), '09:00');
+  assert.equal(parseClockTime('12 pm'), '12:00');
+  assert.equal(parseClockTime('12:30 a.m.'), '00:30');
+  assert.equal(parseClockTime('21:30:00'), '21:30');
+  assert.equal(parseClockTime('noonish'), null);
+});
+
+test('parseHoursText handles closed days, 24 hours, split shifts and overnight ranges', () => {
+  assert.deepEqual(parseHoursText('Closed'), { closed: true, intervals: [] });
+  assert.deepEqual(parseHoursText('Open 24 hours').intervals, [{ open: '00:00', close: '24:00', overnight: false }]);
+  assert.deepEqual(parseHoursText(['9:00 AM - 12:00 PM', '1:00 PM - 5:00 PM']).intervals.map((i) => [i.open, i.close]), [['09:00', '12:00'], ['13:00', '17:00']]);
+  assert.deepEqual(parseHoursText('10:00 PM - 2:00 AM (Next day)').intervals, [{ open: '22:00', close: '02:00', overnight: true }]);
+  assert.equal(parseHoursText(''), null);
+});
+
+test('parseJsonLdHours reads specifications, compact hours and special days', () => {
+  const hours = parseJsonLdHours({
+    openingHoursSpecification: [
+      { dayOfWeek: ['https://schema.org/Monday', 'Tuesday'], opens: '09:00', closes: '17:00' },
+      { dayOfWeek: 'Sunday', opens: '00:00', closes: '23:59' },
+      { validFrom: '2024-12-25', validThrough: '2024-12-25', opens: '00:00', closes: '00:00' },
+    ],
+    openingHours: ['Sa 10:00-14:00'],
+  });
+  assert.deepEqual(hours.weekly.monday, [{ open: '09:00', close: '17:00', overnight: false }]);
+  assert.deepEqual(hours.weekly.sunday, [{ open: '00:00', close: '24:00', overnight: false }]);
+  assert.deepEqual(hours.weekly.saturday, [{ open: '10:00', close: '14:00', overnight: false }]);
+  assert.equal(hours.weekly.wednesday, null);
+  assert.deepEqual(hours.special, [{ date: '2024-12-25', label: null, closed: true, intervals: [] }]);
+});
+
+test('parseJsonLdHours reads a regular 00:00-00:00 day as closed', () => {
+  const hours = parseJsonLdHours({
+    openingHoursSpecification: [
+      { dayOfWeek: 'Saturday', opens: '10:00', closes: '14:00' },
+      { dayOfWeek: 'Sunday', opens: '00:00', closes: '00:00' },
+    ],
+  });
+  assert.deepEqual(hours.weekly.sunday, []);
+  assert.deepEqual(hours.weekly.saturday, [{ open: '10:00', close: '14:00', overnight: false }]);
+});
+
+test('parseDomHours separates weekdays from dated special hours', () => {
+  const hours = parseDomHours([
+    { header: 'Mon', lines: ['9:00 AM - 5:00 PM'] },
+    { header: 'Sun', lines: ['Closed'] },
+    { header: 'Wed, Dec 25', lines: ['Closed'] },
+  ], NOW);
+  assert.equal(hours.weekly.monday.length, 1);
+  assert.deepEqual(hours.weekly.sunday, []);
+  assert.deepEqual(hours.special.map((s) => [s.date, s.closed]), [['2024-12-25', true]]);
+});
+
+test('evaluateOpenStatus works in the business timezone', () => {
+  assert.deepEqual(evaluateOpenStatus(nineToFive, 'America/New_York', NOW), { isOpenNow: true, nextOpenAt: null });
+  assert.deepEqual(evaluateOpenStatus(nineToFive, 'America/Los_Angeles', NOW), { isOpenNow: false, nextOpenAt: '2024-06-05T16:00:00.000Z' });
+});
+
+test('evaluateOpenStatus counts yesterday\'s overnight range and returns null without a zone', () => {
+  const bar = { weekly: { tuesday: [{ open: '22:00', close: '02:00', overnight: true }] }, special: [] };
+  // 01:00 Wednesday in New York
+  assert.equal(evaluateOpenStatus(bar, 'America/New_York', new Date('2024-06-05T05:00:00Z')).isOpenNow, true);
+  assert.deepEqual(evaluateOpenStatus(nineToFive, null, NOW), { isOpenNow: null, nextOpenAt: null });
+});
+
+test('resolveTimezone uses the region, then the coordinates, and never guesses a multi-zone country', () => {
+  assert.equal(resolveTimezone({ countryCode: 'US', region: 'CO' }), 'America/Denver');
+  assert.equal(resolveTimezone({ region: 'TX' }), 'America/Chicago');
+  assert.equal(resolveTimezone({ countryCode: 'CA', region: 'BC' }), 'America/Vancouver');
+  assert.equal(resolveTimezone({ countryCode: 'US', latitude: 37.8, longitude: -122.27 }), 'America/Los_Angeles');
+  assert.equal(resolveTimezone({ countryCode: 'US', latitude: 41.6, longitude: -93.6 }), 'America/Chicago');
+  assert.equal(resolveTimezone({ countryCode: 'AU', latitude: -31.9, longitude: 115.9 }), 'Australia/Perth');
+  assert.equal(resolveTimezone({ countryCode: 'US' }), null);
+  assert.equal(resolveTimezone({ countryCode: 'CA', region: '' }), null);
+  assert.equal(resolveTimezone({ countryCode: 'DE' }), 'Europe/Berlin');
+  assert.equal(resolveTimezone({}), null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareFingerprint, diffFields, fingerprintKey, pickFingerprintFields } from '../src/helpers/incremental.js';
+
+const item = {
+  rating: 4.5,
+  reviewCount: 87,
+  phone: ' (415) 362-0134 ',
+  website: 'https://acme.com',
+  address: '123 Market St,  San Francisco',
+  emails: ['Info@acme.com', 'joe@acme.com', 'info@acme.com'],
+};
+const stored = (fields) => ({ businessKey: 'acme', fields });
+
+test('pickFingerprintFields normalizes strings and sorts deduped lists', () => {
+  assert.deepEqual(pickFingerprintFields(item), {
+    rating: 4.5,
+    reviewCount: 87,
+    phone: '(415) 362-0134',
+    website: 'https://acme.com',
+    address: '123 Market St, San Francisco',
+    emails: ['info@acme.com', 'joe@acme.com'],
+  });
+});
+
+test('diffFields reports previous and current values of the changed fields', () => {
+  assert.deepEqual(diffFields({ rating: 4, phone: null }, { rating: 4.5 }, ['rating', 'phone']), { rating: { previous: 4, current: 4.5 } });
+});
+
+test('a business without a stored fingerprint is new', () => {
+  assert.deepEqual(compareFingerprint(null, item), { changeStatus: 'new', changes: null, fields: pickFingerprintFields(item) });
+});
+
+test('the same fields are unchanged, whatever the formatting and order', () => {
+  const previous = stored(pickFingerprintFields({ ...item, emails: ['joe@acme.com', 'info@acme.com'], phone: '(415) 362-0134' }));
+  const result = compareFingerprint(previous, item);
+  assert.equal(result.changeStatus, 'unchanged');
+  assert.equal(result.changes, null);
+});
+
+test('changed fields are listed', () => {
+  const previous = stored(pickFingerprintFields({ ...item, rating: 4, emails: ['info@acme.com'] }));
+  const result = compareFingerprint(previous, item);
+  assert.equal(result.changeStatus, 'changed');
+  assert.deepEqual(result.changes, {
+    rating: { previous: 4, current: 4.5 },
+    emails: { previous: ['info@acme.com'], current: ['info@acme.com', 'joe@acme.com'] },
+  });
+});
+
+test('failed enrichment neither changes nor overwrites the stored contacts', () => {
+  const previous = stored(pickFingerprintFields(item));
+  const result = compareFingerprint(previous, { ...item, emails: [] }, { contactsKnown: false });
+  assert.equal(result.changeStatus, 'unchanged');
+  assert.deepEqual(result.fields.emails, ['info@acme.com', 'joe@acme.com']);
+
+  // Yelp fields are still compared
+  assert.equal(compareFingerprint(previous, { ...item, rating: 3, emails: [] }, { contactsKnown: false }).changeStatus, 'changed');
+});
+
+test('contacts first seen after a failed enrichment are not a change', () => {
+  const failed = compareFingerprint(null, { ...item, emails: [] }, { contactsKnown: false });
+  assert.equal(failed.fields.emails, null);
+  assert.equal(compareFingerprint(stored(failed.fields), item).changeStatus, 'unchanged');
+});
+
+test('fingerprintKey is a key-value store safe hash', () => {
+  assert.match(fingerprintKey('café-zürich/ÿ'), /^biz-[0-9a-f]{40}$/);
+});
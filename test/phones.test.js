@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyWebsitePhones, extractPhoneCandidates, isPlausiblePhone, parsePhone } from '../src/helpers/phones.js';
+
+test('isPlausiblePhone rejects dates, ZIP+4, prices, IDs and repeated digits', () => {
+  assert.ok(isPlausiblePhone('(415) 555-0132'));
+  for (const raw of ['2024-01-15', '94103-1234', '1234567.00', '12345678901234', '1111111111']) {
+    assert.ok(!isPlausiblePhone(raw), raw);
+  }
+  assert.ok(!isPlausiblePhone('4155550132', 'Order #'));
+  assert.ok(!isPlausiblePhone('4155550132', 'only $'));
+});
+
+test('parsePhone normalizes against the default country', () => {
+  assert.deepEqual(parsePhone('(212) 555-2368', 'us').e164, '+12125552368');
+  assert.equal(parsePhone('020 7946 0018', 'GB').e164, '+442079460018');
+  assert.equal(parsePhone('+1 800 555 0199', 'GB').type, 'TOLL_FREE');
+  assert.equal(parsePhone('12345', 'US'), null);
+  assert.equal(parsePhone('', 'US'), null);
+});
+
+test('extractPhoneCandidates reads tel: links and visible text only', () => {
+  const html = '<a href="tel:%2B1-212-555-2368">Call us</a><p>Fax: 212 555 2369</p><script>var id = "212 555 9999";</script>';
+  const candidates = extractPhoneCandidates(html);
+  assert.deepEqual(candidates[0], { raw: '+1-212-555-2368', context: 'Call us', fromTelLink: true });
+  assert.ok(candidates.some((c) => c.raw === '212 555 2369' && /Fax:$/.test(c.context)));
+  assert.ok(!candidates.some((c) => c.raw.includes('9999')));
+});
+
+test('names ending in an ID word are not taken for an ID label', () => {
+  for (const name of ['David', 'Reid', 'Fred']) {
+    const candidates = extractPhoneCandidates(`<p>Questions? Ask ${name} 415-555-0132</p>`);
+    assert.ok(candidates.some((c) => c.raw === '415-555-0132'), name);
+  }
+  assert.ok(!isPlausiblePhone('4155550132', 'Ref: '));
+  assert.ok(!isPlausiblePhone('4155550132', 'Item#'));
+  assert.ok(!isPlausiblePhone('4155550132', 'Ticket # '));
+});
+
+test('classifyWebsitePhones dedupes and flags fax, toll-free and the Yelp phone', () => {
+  const phones = classifyWebsitePhones([
+    { raw: '(212) 555-2368', context: 'Call' },
+    { raw: '+12125552368', context: 'Phone:' },
+    { raw: '212-555-2369', context: 'Fax:' },
+    { raw: '1-800-555-0199', context: '' },
+    { raw: 'not a phone', context: '' },
+  ], { country: 'US', yelpPhoneE164: '+12125552368' });
+  assert.deepEqual(phones.map((p) => [p.number, p.matchesYelpPhone, p.likelyFax, p.tollFree]), [
+    ['+12125552368', true, false, false],
+    ['+12125552369', false, true, false],
+    ['+18005550199', false, false, true],
+  ]);
+});
+
+test('a number is a fax only if every occurrence says so', () => {
+  const phones = classifyWebsitePhones([
+    { raw: '212-555-2369', context: 'Fax:' },
+    { raw: '212-555-2369', context: 'Call' },
+  ], { country: 'US' });
+  assert.equal(phones[0].likelyFax, false);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySearchFilters, buildSearchQueries, searchFilters } from '../src/helpers/queries.js';
+
+test('buildSearchQueries crosses keywords and locations', () => {
+  const queries = buildSearchQueries({ searches: ['plumber', 'electrician'], locations: ['Austin, TX', 'Denver, CO'] });
+  assert.equal(queries.length, 4);
+  assert.deepEqual(queries.map((q) => q.id), ['q1', 'q2', 'q3', 'q4']);
+  assert.deepEqual(
+    queries.map((q) => [q.keyword, q.location]),
+    [['plumber', 'Austin, TX'], ['plumber', 'Denver, CO'], ['electrician', 'Austin, TX'], ['electrician', 'Denver, CO']]
+  );
+  assert.equal(new URL(queries[0].url).searchParams.get('find_desc'), 'plumber');
+});
+
+test('list inputs take precedence over single values', () => {
+  const queries = buildSearchQueries({ search: 'plumber', location: 'Austin, TX', locations: ['Denver, CO'] });
+  assert.deepEqual(queries.map((q) => q.location), ['Denver, CO']);
+});
+
+test('duplicate keywords collapse into one query', () => {
+  const queries = buildSearchQueries({ searches: ['plumber', ' plumber '], location: 'Austin, TX' });
+  assert.equal(queries.length, 1);
+});
+
+test('search URLs override keywords and keep their own parameters', () => {
+  const url = 'https://www.yelp.com/search?find_desc=pizza&find_loc=Chicago%2C+IL';
+  const queries = buildSearchQueries({ search: 'plumber', yelpSearchUrls: [url] });
+  assert.equal(queries.length, 1);
+  assert.equal(queries[0].keyword, 'pizza');
+  assert.equal(queries[0].location, 'Chicago, IL');
+  assert.equal(queries[0].url, url);
+});
+
+test('search URLs on Yelp country sites are accepted', () => {
+  const queries = buildSearchQueries({ yelpSearchUrl: 'https://www.yelp.co.uk/search?find_desc=cafe&find_loc=London' });
+  assert.equal(queries.length, 1);
+});
+
+test('non-Yelp and invalid search URLs are rejected', () => {
+  assert.throws(() => buildSearchQueries({ yelpSearchUrl: 'https://www.google.com/' }), /Not a Yelp search URL/);
+  assert.throws(() => buildSearchQueries({ yelpSearchUrl: 'https://yelp.com.evil.example/search' }), /Not a Yelp search URL/);
+  assert.throws(() => buildSearchQueries({ yelpSearchUrls: ['not a url'] }), /Invalid Yelp search URL/);
+});
+
+test('searchFilters is null without filter input', () => {
+  assert.equal(searchFilters({}), null);
+  assert.equal(searchFilters({ searchPriceTiers: [], searchRadiusMeters: '' }), null);
+});
+
+test('searchFilters maps sort, price tiers and attributes to Yelp parameters', () => {
+  const filters = searchFilters({ searchSortBy: 'highestRated', searchPriceTiers: ['$$', 2, '3'], searchAttributes: ['freeWifi'] });
+  assert.equal(filters.sortby, 'rating');
+  assert.deepEqual(filters.attrs, ['RestaurantsPriceRange2.2', 'RestaurantsPriceRange2.3', 'WiFi.free']);
+});
+
+test('searchFilters rejects bad values', () => {
+  assert.throws(() => searchFilters({ searchSortBy: 'cheapest' }), /searchSortBy/);
+  assert.throws(() => searchFilters({ searchPriceTiers: ['$$$$$'] }), /searchPriceTiers/);
+  assert.throws(() => searchFilters({ searchAttributes: ['hasPool'] }), /searchAttributes/);
+  assert.throws(() => searchFilters({ searchRadiusMeters: 40001 }), /searchRadiusMeters/);
+  assert.throws(() => searchFilters({ searchRadiusMeters: 1.5 }), /searchRadiusMeters/);
+  assert.throws(() => searchFilters({ searchCategory: 'Home Services' }), /searchCategory/);
+});
+
+test('applySearchFilters merges attrs with the search URL', () => {
+  const url = applySearchFilters(
+    'https://www.yelp.com/search?find_desc=cafe&attrs=WiFi.free',
+    searchFilters({ searchAttributes: ['freeWifi', 'dogsAllowed'], searchOpenNow: true })
+  );
+  const params = new URL(url).searchParams;
+  assert.equal(params.get('attrs'), 'WiFi.free,DogsAllowed');
+  assert.equal(params.get('open_now'), 'true');
+});
+
+test('applySearchFilters rejects single-valued conflicts with the search URL', () => {
+  const url = 'https://www.yelp.com/search?find_desc=cafe&sortby=review_count&l=g:-122.5,37.7,-122.3,37.8';
+  assert.throws(() => applySearchFilters(url, searchFilters({ searchSortBy: 'highestRated' })), /conflicts with sortby=review_count/);
+  assert.equal(new URL(applySearchFilters(url, searchFilters({ searchSortBy: 'mostReviewed' }))).searchParams.get('sortby'), 'review_count');
+  assert.throws(() => applySearchFilters(url, searchFilters({ searchRadiusMeters: 1000 })), /map area/);
+});
+
+test('keyword queries carry the search filters', () => {
+  const [query] = buildSearchQueries({ search: 'plumber', location: 'Austin, TX', searchRadiusMeters: 5000, searchCategory: 'plumbing' });
+  const params = new URL(query.url).searchParams;
+  assert.deepEqual([params.get('radius'), params.get('cflt')], ['5000', 'plumbing']);
+});
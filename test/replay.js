@@ -0,0 +1,51 @@
+/**
+ * replay.js - `npm run test:replay`
+ *
+ * Runs the actor in fixtures replay mode (src/crawler/fixtures.js) over the pages committed in
+ * test/fixtures/replay, with input.json from that directory, and fails when the items differ
+ * from its expected-items.json. `npm run test:replay -- --update` rewrites expected-items.json.
+ * No network is used, but Playwright's Chromium must be installed (npx playwright install chromium).
+ *
+ * The committed set is hand-built in the recorder's layout (one search, one business, its website
+ * with a stale /contact link that 404s), not a live recording. Replace it with a run recorded with
+ * `fixturesMode: "record"` and `fixturesDir` pointing here when Yelp can be reached.
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixturesDir = path.join(root, 'test', 'fixtures', 'replay');
+const updateExpected = process.argv.includes('--update');
+
+const storage = await mkdtemp(path.join(tmpdir(), 'yelp-replay-'));
+const kvStore = path.join(storage, 'key_value_stores', 'default');
+try {
+  const input = JSON.parse(await readFile(path.join(fixturesDir, 'input.json'), 'utf8'));
+  await mkdir(kvStore, { recursive: true });
+  await writeFile(path.join(kvStore, 'INPUT.json'), JSON.stringify({ ...input, fixturesDir, fixturesUpdateExpected: updateExpected }));
+
+  const code = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(root, 'src', 'main.js')], {
+      cwd: root,
+      env: { ...process.env, APIFY_LOCAL_STORAGE_DIR: storage, CRAWLEE_STORAGE_DIR: storage },
+      stdio: 'inherit',
+    });
+    child.on('error', reject);
+    child.on('exit', (exitCode) => resolve(exitCode ?? 1));
+  });
+
+  // A replay without expected items only warns in the actor; here it is a failure
+  const report = JSON.parse(await readFile(path.join(kvStore, 'FIXTURES_REPORT.json'), 'utf8').catch(() => 'null'));
+  if (code !== 0 || !(report?.written || report?.diff?.ok)) {
+    console.error(`Replay failed (exit code ${code}): ${JSON.stringify(report?.diff ?? report)}`);
+    process.exitCode = 1;
+  } else {
+    console.log(report.written ? `Expected items written to ${report.written}` : `All ${report.items} replayed items match`);
+  }
+} finally {
+  await rm(storage, { recursive: true, force: true });
+}
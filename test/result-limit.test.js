@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isQueryDone, queryProgress, releaseSlot, reserveSlot, takeRefills } from '../src/helpers/result-limit.js';
+
+test('reserveSlot never lets saved + pending exceed maxResults', () => {
+  const progress = queryProgress({}, 'q1');
+  assert.ok(reserveSlot(progress, 2));
+  assert.ok(reserveSlot(progress, 2));
+  assert.ok(!reserveSlot(progress, 2));
+  assert.equal(progress.pending, 2);
+});
+
+test('releaseSlot counts saved businesses only', () => {
+  const progress = queryProgress({}, 'q1');
+  reserveSlot(progress, 3);
+  reserveSlot(progress, 3);
+  releaseSlot(progress, true);
+  releaseSlot(progress, false);
+  assert.deepEqual([progress.saved, progress.pending], [1, 0]);
+  assert.ok(!isQueryDone(progress, 3));
+  assert.ok(isQueryDone(progress, 1));
+});
+
+test('takeRefills drains the backlog before releasing a held search page', () => {
+  const progress = queryProgress({}, 'q1');
+  progress.saved = 1;
+  progress.backlog.push({ url: 'd1' }, { url: 'd2' });
+  progress.heldSearchRequests.push({ url: 's2' });
+  assert.deepEqual(takeRefills(progress, 2).map((r) => r.url), ['d1']);
+  assert.equal(progress.pending, 1);
+
+  releaseSlot(progress, false);
+  assert.deepEqual(takeRefills(progress, 2).map((r) => r.url), ['d2']);
+
+  releaseSlot(progress, false);
+  assert.deepEqual(takeRefills(progress, 2).map((r) => r.url), ['s2']);
+  assert.equal(progress.heldSearchRequests.length, 0);
+});
+
+test('a full query gets no refills', () => {
+  const progress = queryProgress({}, 'q1');
+  progress.saved = 2;
+  progress.backlog.push({ url: 'd1' });
+  progress.heldSearchRequests.push({ url: 's2' });
+  assert.deepEqual(takeRefills(progress, 2), []);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dataset } from '@crawlee/playwright';
+import { buildReviewsRequest, handleReviewsPage } from '../src/crawler/reviews-handler.js';
+
+const yelpUrl = 'https://www.yelp.com/biz/acme-plumbing-san-francisco';
+const input = { maxReviewsPerBusiness: 25, reviewsSort: 'newest' };
+const log = { debug() {}, info() {} };
+
+// The named reviews dataset, in memory
+const originalOpen = Dataset.open;
+let pushed;
+beforeEach(() => {
+  pushed = [];
+  Dataset.open = async () => ({ pushData: async (items) => pushed.push(...items) });
+});
+after(() => {
+  Dataset.open = originalOpen;
+});
+
+const domReview = (i) => ({ reviewId: `r${i}`, author: `Author ${i}`, date: '1/2/2026', rating: 5, text: `Review ${i}` });
+const ldReview = (i) => ({ author: { name: `Author ${i}` }, datePublished: '2026-01-02', reviewRating: { ratingValue: 4 }, description: `Review ${i}` });
+
+// A review page: the DOM extraction (page.evaluate) returns domReviews, the JSON-LD holds ldReviews
+const fakePage = ({ domReviews = [], ldReviews = [] }) => ({
+  waitForLoadState: async () => {},
+  evaluate: async () => domReviews,
+  locator: () => ({
+    all: async () => [{ textContent: async () => JSON.stringify({ '@type': 'LocalBusiness', review: ldReviews }) }],
+  }),
+});
+
+const run = async (page, start = 0, collected = 0) => {
+  const enqueued = [];
+  const request = buildReviewsRequest(yelpUrl, { start, collected, input });
+  await handleReviewsPage({ page, request, log, input, enqueueLinks: async ({ requests }) => enqueued.push(...requests) });
+  return enqueued;
+};
+
+test('buildReviewsRequest keys the feed by sort, language and offset', () => {
+  const request = buildReviewsRequest(yelpUrl, { start: 10, input: { reviewsSort: 'newest', reviewsLanguage: 'fr' } });
+  assert.equal(request.url, `${yelpUrl}?start=10&sort_by=date_desc&rl=fr`);
+  assert.equal(request.uniqueKey, `REVIEWS|${yelpUrl}|date_desc|fr|10`);
+});
+
+test('a full DOM page is saved and the next page enqueued', async () => {
+  const enqueued = await run(fakePage({ domReviews: Array.from({ length: 10 }, (_, i) => domReview(i)) }));
+  assert.equal(pushed.length, 10);
+  assert.deepEqual(pushed[0], { scrapedAt: pushed[0].scrapedAt, yelpUrl, ...domReview(0) });
+  assert.deepEqual(enqueued.map((r) => r.userData), [{ label: 'REVIEWS', yelpUrl, start: 10, collected: 10 }]);
+});
+
+test('the last DOM page stops at maxReviewsPerBusiness', async () => {
+  const enqueued = await run(fakePage({ domReviews: Array.from({ length: 10 }, (_, i) => domReview(i)) }), 20, 20);
+  assert.equal(pushed.length, 5);
+  assert.deepEqual(enqueued, []);
+});
+
+test('the JSON-LD fallback is saved once and ends the pagination', async () => {
+  const enqueued = await run(fakePage({ ldReviews: Array.from({ length: 12 }, (_, i) => ldReview(i)) }));
+  assert.equal(pushed.length, 12);
+  assert.equal(pushed[0].author, 'Author 0');
+  assert.equal(pushed[0].rating, 4);
+  assert.deepEqual(enqueued, []);
+});
+
+test('later pages never fall back to the JSON-LD reviews of the first page', async () => {
+  const enqueued = await run(fakePage({ ldReviews: Array.from({ length: 12 }, (_, i) => ldReview(i)) }), 10, 10);
+  assert.deepEqual(pushed, []);
+  assert.deepEqual(enqueued, []);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isFilled } from '../src/helpers/misc.js';
+import { buildRunSummary, classifyError, countFields, initRunStats, recordFailure } from '../src/helpers/run-summary.js';
+import { buildDiagnosticsReport, initDiagnostics, recordExtraction } from '../src/helpers/diagnostics.js';
+
+test('isFilled treats empty values and all-empty structures as not filled', () => {
+  for (const value of [null, undefined, '', [], {}, { facebook: null, x: '' }]) assert.ok(!isFilled(value), JSON.stringify(value));
+  for (const value of [0, false, 'x', ['a'], { facebook: 'https://www.facebook.com/acme' }]) assert.ok(isFilled(value), JSON.stringify(value));
+});
+
+test('the run summary and diagnostics agree on fill rates for the same item', () => {
+  const item = { name: 'Acme', emails: [], social: { facebook: null }, addressParts: { city: 'Austin' }, owner: {} };
+  const stats = initRunStats({});
+  countFields(stats, item);
+  const diagnostics = initDiagnostics({});
+  recordExtraction(diagnostics, 'detail', { fields: item, strategies: {} });
+  const report = buildDiagnosticsReport(diagnostics);
+  for (const [field, filled] of Object.entries(stats.fields)) {
+    assert.equal(report.fields[`detail.${field}`].filled, filled, field);
+  }
+  assert.deepEqual(stats.fields, { name: 1, emails: 0, social: 0, addressParts: 1, owner: 0 });
+});
+
+test('failures are grouped by error type', () => {
+  assert.equal(classifyError(new Error('Blocked by Yelp (captcha), retrying')), 'blocked');
+  assert.equal(classifyError(new Error('Navigation timed out after 60 seconds')), 'timeout');
+  assert.equal(classifyError(new Error('Request failed with status code 404')), 'http-status');
+  const stats = initRunStats({});
+  recordFailure(stats, { url: 'https://www.yelp.com/biz/a', userData: { label: 'DETAIL' } }, new Error('socket hang up'));
+  const summary = buildRunSummary(stats);
+  assert.deepEqual(summary.failures.network.byLabel, { DETAIL: 1 });
+  assert.equal(summary.stages.DETAIL.failed, 1);
+});
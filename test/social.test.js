@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSocialProfile, selectSocialProfiles } from '../src/helpers/social.js';
+
+const url = (link) => parseSocialProfile(link)?.url ?? null;
+
+test('parseSocialProfile canonicalizes profile URLs per platform', () => {
+  assert.equal(url('https://m.facebook.com/AcmePlumbing/?ref=page'), 'https://www.facebook.com/AcmePlumbing');
+  assert.equal(url('https://www.facebook.com/pg/AcmePlumbing/about'), 'https://www.facebook.com/AcmePlumbing');
+  assert.equal(url('https://www.facebook.com/profile.php?id=100012345&amp;sk=about'), 'https://www.facebook.com/profile.php?id=100012345');
+  assert.equal(url('https://instagram.com/acme.plumbing/'), 'https://www.instagram.com/acme.plumbing');
+  assert.equal(url('https://twitter.com/AcmePlumbing'), 'https://x.com/AcmePlumbing');
+  assert.equal(url('https://uk.linkedin.com/company/acme-plumbing/about'), 'https://www.linkedin.com/company/acme-plumbing');
+  assert.equal(url('https://www.youtube.com/@AcmePlumbing/videos'), 'https://www.youtube.com/@AcmePlumbing');
+  assert.equal(url('https://www.youtube.com/Channel/UC123'), 'https://www.youtube.com/channel/UC123');
+  assert.equal(url('https://www.tiktok.com/@acmeplumbing'), 'https://www.tiktok.com/@acmeplumbing');
+});
+
+test('old-style Facebook page URLs keep the page name and id', () => {
+  assert.equal(url('https://www.facebook.com/pages/Acme-Plumbing/123456789'), 'https://www.facebook.com/pages/Acme-Plumbing/123456789');
+  assert.equal(url('https://www.facebook.com/pages/Acme-Plumbing'), null);
+});
+
+test('Facebook category page URLs resolve to the business page, not the category', () => {
+  assert.deepEqual(parseSocialProfile('https://www.facebook.com/pages/category/Plumber/Acme-123'), {
+    platform: 'facebook',
+    handle: null,
+    url: 'https://www.facebook.com/pages/Acme/123',
+  });
+  assert.equal(
+    url('https://www.facebook.com/pages/category/Home-Improvement/Acme-Plumbing-Heating-104512345678/'),
+    'https://www.facebook.com/pages/Acme-Plumbing-Heating/104512345678'
+  );
+  assert.equal(url('https://www.facebook.com/pages/category/Plumber/AcmePlumbing/'), 'https://www.facebook.com/AcmePlumbing');
+  assert.equal(url('https://www.facebook.com/pages/category/Plumber'), null);
+});
+
+test('share buttons, posts and platform accounts are not profiles', () => {
+  for (const link of [
+    'https://www.facebook.com/sharer/sharer.php?u=https://acme.com',
+    'https://twitter.com/intent/tweet?text=hi',
+    'https://www.instagram.com/p/Cx123/',
+    'https://www.linkedin.com/in/joe-smith',
+    'https://www.facebook.com/yelp',
+    'https://www.instagram.com/wix/',
+    'https://www.youtube.com/watch?v=abc',
+    'https://example.com/acme',
+    'not a url',
+  ]) {
+    assert.equal(parseSocialProfile(link), null, link);
+  }
+});
+
+test('selectSocialProfiles prefers a name match, then Yelp-listed links, then page order', () => {
+  const social = selectSocialProfiles(
+    [
+      { url: 'https://www.facebook.com/SomeTheme', source: 'website' },
+      { url: 'https://www.facebook.com/acmeplumbingsf', source: 'website' },
+      { url: 'https://www.instagram.com/first_found', source: 'website' },
+      { url: 'https://www.instagram.com/yelp_listed', source: 'yelp' },
+      { url: 'https://twitter.com/intent/tweet', source: 'website' },
+    ],
+    { businessName: 'Acme Plumbing' }
+  );
+  assert.deepEqual(social, {
+    facebook: 'https://www.facebook.com/acmeplumbingsf',
+    instagram: 'https://www.instagram.com/yelp_listed',
+    x: null,
+    linkedin: null,
+    youtube: null,
+    tiktok: null,
+  });
+});
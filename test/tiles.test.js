@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchQueries } from '../src/helpers/queries.js';
+import { isSaturated, parseBoundingBox, planTiles, subdivideTile, summarizeTiles, tileRequest } from '../src/helpers/tiles.js';
+
+const queries = buildSearchQueries({ searches: ['plumber', 'electrician'], locations: ['Austin, TX', 'Denver, CO'] });
+
+test('planTiles is null when tiling is off', () => {
+  assert.equal(planTiles({}, queries), null);
+  assert.throws(() => planTiles({ tilingMode: 'grid' }, queries), /tilingMode/);
+});
+
+test('location tiles are planned once per keyword, not per keyword × location', () => {
+  const plan = planTiles({ tilingMode: 'locations', tileLocations: ['78701', ' 78702 ', '78701'] }, queries);
+  assert.deepEqual(plan.queries.map((q) => [q.id, q.keyword, q.location]), [['q1', 'plumber', null], ['q2', 'electrician', null]]);
+  assert.deepEqual(plan.tiles.map((t) => t.id), ['q1-t1', 'q1-t2', 'q2-t1', 'q2-t2']);
+  assert.equal(new URL(plan.tiles[1].url).searchParams.get('find_loc'), '78702');
+  assert.equal(new URL(plan.tiles[1].url).searchParams.get('find_desc'), 'plumber');
+});
+
+test('tileRequest credits the tile location and URL, not the query location', () => {
+  const plan = planTiles({ tilingMode: 'locations', tileLocations: ['78701'] }, queries);
+  const { userData } = tileRequest(plan.tiles[0], plan.queries[0]);
+  assert.equal(userData.query.id, 'q1');
+  assert.equal(userData.query.location, '78701');
+  assert.equal(userData.query.url, plan.tiles[0].url);
+});
+
+test('parseBoundingBox accepts an object or a "south,west,north,east" string', () => {
+  const box = { north: 30.5, south: 30.1, east: -97.5, west: -97.9 };
+  assert.deepEqual(parseBoundingBox(box), box);
+  assert.deepEqual(parseBoundingBox('30.1, -97.9, 30.5, -97.5'), box);
+  assert.throws(() => parseBoundingBox({ ...box, south: 31 }), /boundingBox/);
+  assert.throws(() => parseBoundingBox('1,2,3'), /boundingBox/);
+});
+
+test('box tiles cover the box in a grid with Yelp map-area URLs', () => {
+  const plan = planTiles({ tilingMode: 'boundingBox', boundingBox: '30,-98,31,-97', tileGrid: 2 }, queries.slice(0, 1));
+  assert.equal(plan.tiles.length, 4);
+  assert.deepEqual(plan.tiles[0].box, { south: 30, north: 30.5, west: -98, east: -97.5 });
+  assert.equal(new URL(plan.tiles[0].url).searchParams.get('l'), 'g:-97.5,30.5,-98,30');
+  assert.throws(() => planTiles({ tilingMode: 'boundingBox', boundingBox: '30,-98,31,-97', tileGrid: 11 }, queries), /tileGrid/);
+});
+
+test('box tiling rejects a search that already bounds its area', () => {
+  const [query] = buildSearchQueries({ search: 'plumber', location: 'Austin, TX', searchRadiusMeters: 1000 });
+  assert.throws(() => planTiles({ tilingMode: 'boundingBox', boundingBox: '30,-98,31,-97' }, [query]), /searchRadiusMeters/);
+});
+
+test('subdivideTile splits box tiles down to maxDepth and marks the rest saturated', () => {
+  const plan = planTiles({ tilingMode: 'boundingBox', boundingBox: '30,-98,31,-97', tileGrid: 1, maxTileDepth: 1 }, queries.slice(0, 1));
+  const state = Object.fromEntries(plan.tiles.map((t) => [t.id, t]));
+  const children = subdivideTile(state, state['q1-t1'], plan.maxDepth);
+  assert.deepEqual(children.map((c) => c.id), ['q1-t1.1', 'q1-t1.2', 'q1-t1.3', 'q1-t1.4']);
+  assert.equal(state['q1-t1'].status, 'subdivided');
+  assert.deepEqual(subdivideTile(state, children[0], plan.maxDepth), []);
+  assert.equal(children[0].status, 'saturated');
+
+  const summary = summarizeTiles(state);
+  assert.deepEqual([summary.total, summary.subdivided, summary.pending], [5, 1, 3]);
+  assert.deepEqual(summary.saturated.map((t) => t.id), ['q1-t1.1']);
+});
+
+test('isSaturated is true at Yelp page cap only', () => {
+  assert.ok(!isSaturated(null));
+  assert.ok(!isSaturated(1));
+  assert.ok(isSaturated(1000));
+});
@@ -0,0 +1,127 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { Actor } from '@apify/actor';
+import { backoffMs, createWebhookSink, signBody } from '../src/helpers/webhook-sink.js';
+
+// A local endpoint that answers each POST with the next queued status (200 when none is left);
+// 5xx responses say Retry-After: 0 so the retries do not wait
+let server;
+let url;
+let received;
+let statuses;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, json: JSON.parse(body) });
+      const status = statuses.shift() ?? 200;
+      res.writeHead(status, status >= 500 ? { 'retry-after': '0' } : {});
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Actor state and the key-value store, in memory
+const original = { getEnv: Actor.getEnv, useState: Actor.useState, setValue: Actor.setValue };
+let records;
+beforeEach(() => {
+  received = [];
+  statuses = [];
+  records = {};
+  const states = {};
+  Actor.getEnv = () => ({ actorRunId: 'run1' });
+  Actor.useState = async (key, initial) => (states[key] ??= initial);
+  Actor.setValue = async (key, value) => {
+    records[key] = value;
+  };
+});
+after(() => Object.assign(Actor, original));
+
+test('items are sent in order, in batches of batchSize, on flush for the rest', async () => {
+  const sink = await createWebhookSink({ url, batchSize: 2, flushIntervalSecs: 60 });
+  for (let i = 1; i <= 5; i++) await sink.push({ n: i });
+  await sink.flush();
+  assert.deepEqual(received.map((r) => r.json.items.map((item) => item.n)), [[1, 2], [3, 4], [5]]);
+  assert.deepEqual(received.map((r) => r.headers['x-batch-id']), ['run1-1', 'run1-2', 'run1-3']);
+  assert.deepEqual(received.map((r) => r.json.batchId), ['run1-1', 'run1-2', 'run1-3']);
+  assert.equal(received[0].json.runId, 'run1');
+  assert.deepEqual(sink.stats, { sent: 3, items: 5, retries: 0, deadLettered: 0 });
+});
+
+test('the body is signed with the HMAC secret and carries the configured headers', async () => {
+  const sink = await createWebhookSink({ url, batchSize: 1, hmacSecret: 's3cret', authToken: 'tok', headers: { 'x-source': 'yelp' } });
+  await sink.push({ n: 1 });
+  await sink.flush();
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-signature-256'], `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+  assert.equal(headers['x-signature-256'], signBody(body, 's3cret'));
+  assert.equal(headers.authorization, 'Bearer tok');
+  assert.equal(headers['x-source'], 'yelp');
+  assert.equal(headers['content-type'], 'application/json');
+});
+
+test('5xx responses are retried with the same batch id', async () => {
+  statuses = [503, 503];
+  const sink = await createWebhookSink({ url, batchSize: 1, maxRetries: 3 });
+  await sink.push({ n: 1 });
+  await sink.flush();
+  assert.equal(received.length, 3);
+  assert.equal(new Set(received.map((r) => r.headers['x-batch-id'])).size, 1);
+  assert.deepEqual(sink.stats, { sent: 1, items: 1, retries: 2, deadLettered: 0 });
+  assert.deepEqual(records, {});
+});
+
+test('a batch that fails for good is dead-lettered and later batches still go out', async () => {
+  statuses = [400];
+  const sink = await createWebhookSink({ url, batchSize: 1, maxRetries: 3 });
+  await sink.push({ n: 1 });
+  await sink.push({ n: 2 });
+  await sink.flush();
+  assert.equal(received.length, 2);
+  const letter = records['WEBHOOK-DEAD-LETTER-run1-1'];
+  assert.equal(letter.error, 'HTTP 400 Bad Request');
+  assert.equal(letter.attempts, 1);
+  assert.deepEqual(letter.items, [{ n: 1 }]);
+  assert.deepEqual(sink.stats, { sent: 1, items: 1, retries: 0, deadLettered: 1 });
+});
+
+test('retries stop after maxRetries and dead-letter the batch', async () => {
+  statuses = [500, 500, 500];
+  const sink = await createWebhookSink({ url, batchSize: 1, maxRetries: 2 });
+  await sink.push({ n: 1 });
+  await sink.flush();
+  assert.equal(received.length, 3);
+  assert.equal(records['WEBHOOK-DEAD-LETTER-run1-1'].error, 'HTTP 500 Internal Server Error');
+});
+
+test('push waits for the endpoint when too many batches are pending', async () => {
+  const sink = await createWebhookSink({ url, batchSize: 1, maxPendingBatches: 1 });
+  await sink.push({ n: 1 });
+  assert.equal(received.length, 0);
+  await sink.push({ n: 2 });
+  assert.deepEqual(received.map((r) => r.json.items[0].n), [1, 2]);
+  await sink.flush();
+});
+
+test('backoffMs honors Retry-After in seconds and as an HTTP date', () => {
+  assert.equal(backoffMs(0, '3'), 3000);
+  assert.equal(backoffMs(0, '600'), 60000);
+  const inTwenty = backoffMs(0, new Date(Date.now() + 20000).toUTCString());
+  assert.ok(inTwenty > 18000 && inTwenty <= 20000, String(inTwenty));
+  assert.equal(backoffMs(0, new Date(Date.now() - 5000).toUTCString()), 0);
+  // no header: exponential backoff with jitter
+  for (const header of [null, '', 'soon']) {
+    const wait = backoffMs(1, header);
+    assert.ok(wait >= 1000 && wait <= 2000, `${header}: ${wait}`);
+  }
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discoverContactLinks, fetchWebsiteAndContacts, registrableDomain, scoreLink } from '../src/crawler/website-scraper.js';
+
+const PADDING = `<p>${'Family-owned plumbing since 1982. '.repeat(40)}</p>`;
+const page = (body) => `<html><body>${PADDING}${body}</body></html>`;
+
+// httpGet stub: path -> { url (after redirects), statusCode, body }
+const site = (pages) => async (url) => {
+  const hit = pages[url];
+  if (!hit) throw new Error(`404 ${url}`);
+  return { url: hit.url ?? url, statusCode: hit.statusCode ?? 200, contentType: 'text/html', body: hit.body };
+};
+
+test('registrableDomain keeps country second levels and shared hosting apart', () => {
+  assert.equal(registrableDomain('www.shop.example.com'), 'example.com');
+  assert.equal(registrableDomain('shop.example.co.uk'), 'example.co.uk');
+  assert.equal(registrableDomain('acme.wixsite.com'), 'acme.wixsite.com');
+  assert.equal(registrableDomain('example.de'), 'example.de');
+});
+
+test('scoreLink prefers shallow contact pages over blog posts', () => {
+  assert.ok(scoreLink('https://acme.com/contact') > scoreLink('https://acme.com/about'));
+  assert.ok(scoreLink('https://acme.com/blog/2019/how-to-contact-us') < scoreLink('https://acme.com/about'));
+  assert.equal(scoreLink('https://acme.com/services'), 0);
+});
+
+test('discoverContactLinks keeps same-site links only', () => {
+  const html = '<a href="/contact-us">Contact</a><a href="https://facebook.com/contact">Contact</a><footer><a href="/about">About</a></footer>';
+  const links = discoverContactLinks(html, 'https://www.acme.com/', new Set(['acme.com']));
+  assert.deepEqual(links.map((l) => l.url), ['https://www.acme.com/contact-us', 'https://www.acme.com/about']);
+});
+
+test('a homepage redirect within the registrable domain is followed', async () => {
+  const httpGet = site({
+    'http://acme.com': { url: 'https://shop.acme.com/', body: page('<a href="/contact">Contact</a>') },
+    'https://shop.acme.com/contact': { body: page('<a href="mailto:info@acme.com">Mail</a> Call (212) 555-2368') },
+  });
+  const contacts = await fetchWebsiteAndContacts('http://acme.com', [], { httpGet, throttle: async () => {} });
+  assert.equal(contacts.redirectedTo, null);
+  assert.deepEqual(contacts.pagesVisited, ['https://shop.acme.com/', 'https://shop.acme.com/contact']);
+  assert.deepEqual(contacts.emails.map((e) => e.email), ['info@acme.com']);
+});
+
+test('a homepage redirect to another site stops enrichment', async () => {
+  const httpGet = site({
+    'https://acme.com': { url: 'https://linktr.ee/acmeplumbing', body: page('<a href="/contact">Contact</a> <a href="mailto:help@linktr.ee">Help</a>') },
+  });
+  const contacts = await fetchWebsiteAndContacts('https://acme.com', ['/contact'], { httpGet, throttle: async () => {} });
+  assert.equal(contacts.redirectedTo, 'https://linktr.ee/acmeplumbing');
+  assert.deepEqual(contacts.pagesVisited, []);
+  assert.deepEqual(contacts.emails, []);
+});
+
+test('only the homepage reports an off-site redirect', async () => {
+  const httpGet = site({
+    'https://acme.com': { body: page('<a href="/contact">Contact</a> Call (212) 555-2368') },
+    'https://acme.com/contact': { url: 'https://www.facebook.com/acmeplumbing', body: page('<a href="mailto:help@fb.com">Help</a>') },
+  });
+  const contacts = await fetchWebsiteAndContacts('https://acme.com', [], { httpGet, throttle: async () => {} });
+  assert.equal(contacts.redirectedTo, null);
+  assert.deepEqual(contacts.pagesVisited, ['https://acme.com']);
+  assert.deepEqual(contacts.emails, []);
+});
+
+test('error pages are neither collected nor counted against the page budget', async () => {
+  const notFound = page('<h1>Page not found</h1> <a href="mailto:webmaster@acme.com">Report</a>');
+  const httpGet = site({
+    'https://acme.com': { body: page('Welcome') },
+    'https://acme.com/contact': { statusCode: 404, body: notFound },
+    'https://acme.com/kontakt': { statusCode: 404, body: notFound },
+    'https://acme.com/about': { body: page('<a href="mailto:info@acme.com">Mail</a>') },
+  });
+  const contacts = await fetchWebsiteAndContacts('https://acme.com', ['/contact', '/kontakt', '/about'], {
+    httpGet,
+    throttle: async () => {},
+    maxPages: 2,
+  });
+  assert.deepEqual(contacts.pagesVisited, ['https://acme.com', 'https://acme.com/about']);
+  assert.deepEqual(contacts.emails.map((e) => e.email), ['info@acme.com']);
+});
+
+test('a JavaScript shell is rendered within the remaining time budget', async () => {
+  const httpGet = site({ 'https://acme.com': { body: '<div id="root"></div>' } });
+  const calls = [];
+  const renderPage = async (url, opts) => {
+    calls.push({ url, ...opts });
+    return { url, body: page('<a href="mailto:info@acme.com">Mail</a>') };
+  };
+  const contacts = await fetchWebsiteAndContacts('https://acme.com', [], { httpGet, renderPage, throttle: async () => {}, timeBudgetMs: 10000 });
+  assert.equal(calls.length, 1);
+  assert.ok(calls[0].timeoutMs > 0 && calls[0].timeoutMs <= 10000);
+  assert.equal(contacts.fetchedVia, 'browser');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  businessClaimant,
+  businessIdentity,
+  claimBusiness,
+  isYelpHost,
+  parseBusinessAlias,
+  releaseBusiness,
+} from '../src/helpers/yelp-identity.js';
+
+test('parseBusinessAlias reduces link variants to one alias', () => {
+  for (const href of [
+    '/biz/joes-plumbing-sf',
+    '/biz/Joes-Plumbing-SF?osq=plumber#reviews',
+    'https://www.yelp.com/biz/joes-plumbing-sf?hrid=abc',
+    'https://m.yelp.com/biz/joes-plumbing-sf/',
+  ]) {
+    assert.equal(parseBusinessAlias(href), 'joes-plumbing-sf', href);
+  }
+  assert.equal(parseBusinessAlias('https://example.com/biz/joes-plumbing-sf'), null);
+  assert.equal(parseBusinessAlias('/search?find_desc=plumber'), null);
+});
+
+test('businessIdentity gives the canonical URL and uniqueKey', () => {
+  assert.deepEqual(businessIdentity('/biz/caf%C3%A9-luna?osq=cafe'), {
+    alias: 'café-luna',
+    url: 'https://www.yelp.com/biz/caf%C3%A9-luna',
+    uniqueKey: 'biz:café-luna',
+  });
+});
+
+test('isYelpHost accepts Yelp country sites only', () => {
+  assert.ok(isYelpHost('www.yelp.com'));
+  assert.ok(isYelpHost('yelp.co.uk'));
+  assert.ok(isYelpHost('fr.yelp.ca'));
+  assert.ok(!isYelpHost('www.google.com'));
+  assert.ok(!isYelpHost('yelp.com.evil.example'));
+  assert.ok(!isYelpHost('notyelp.com'));
+});
+
+test('a business is claimed once under any of its keys', () => {
+  const registry = {};
+  assert.ok(claimBusiness(registry, ['alias:old-name', 'id:abc'], 'biz:old-name'));
+  assert.ok(!claimBusiness(registry, ['alias:new-name', 'id:abc'], 'biz:new-name'));
+  assert.equal(businessClaimant(registry, ['alias:new-name', 'id:abc']), 'biz:old-name');
+  assert.equal(businessClaimant(registry, ['alias:other', null]), null);
+});
+
+test('releaseBusiness frees only the keys held by the owner', () => {
+  const registry = { 'id:abc': 'biz:a' };
+  claimBusiness(registry, ['alias:b'], 'biz:b');
+  releaseBusiness(registry, ['alias:b', 'id:abc'], 'biz:b');
+  assert.deepEqual(registry, { 'id:abc': 'biz:a' });
+  assert.ok(claimBusiness(registry, ['alias:b'], 'biz:b'));
+});